@@ -0,0 +1,162 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { FLAGS, parseArgs, formatFlags, loadConfigFile } from './options.js';
+import { analyzePlan, printPlan, resolveConflicts, writePlan } from './files.js';
+import { loadTemplateChain, renderTemplateChain } from './templates.js';
+import {
+  resourceNames,
+  parseFields,
+  schemaLines,
+  interfaceProperty,
+  validatorRule,
+  sampleValue,
+  mountRouter,
+  registerDocsResource
+} from './resource.js';
+import { writeOpenApi } from './generate.js';
+import { projectPackageManager, runCommand } from './packages.js';
+import { log } from './log.js';
+
+export const ADD_FLAGS = {
+  fields: { flag: 'fields', alias: 'f', type: 'string', arg: '<spec>', description: 'Comma separated fields, e.g. name:string:required,price:number:min=0,tags:string[]' },
+  dryRun: FLAGS.dryRun,
+  diff: FLAGS.diff,
+  onConflict: FLAGS.onConflict,
+  backup: FLAGS.backup,
+  yes: FLAGS.yes,
+  help: FLAGS.help
+};
+
+const ADD_DEFAULTS = {
+  dryRun: false,
+  diff: false,
+  onConflict: 'prompt',
+  backup: false,
+  yes: false
+};
+
+export function formatAddHelp() {
+  return [
+    'Usage: mern-server-setup add resource <Name> --fields <spec> [options]',
+    '',
+    'Generates models/<Name>.js, controllers/<name>Controller.js, validators/<name>Validators.js',
+    'and routes/<names>.js with the same CRUD handlers as the Item resource, and mounts',
+    'the router in app.js (server.js in projects generated before app.js existed).',
+    'The resource is added to docs/resources.js and openapi.json is regenerated.',
+    'In TypeScript projects (generated with --typescript) the files are written as .ts.',
+    'A tests/<names>.test.js file is added unless the project was generated with --no-tests.',
+    'Run it from the root of a generated project.',
+    '',
+    'Options:',
+    ...formatFlags(ADD_FLAGS),
+    '',
+    'Field spec: <name>:<type>[:<modifier>...] separated by commas',
+    '  types:     string, number, boolean, date, objectid (append [] for arrays)',
+    '  modifiers: required, unique, trim, lowercase, uppercase, index,',
+    '             min=, max=, minlength=, maxlength=, default=, enum=a|b|c, ref=<Model>',
+    '',
+    'Example:',
+    '  mern-server-setup add resource Product --fields "name:string:required:trim,price:number:min=0,tags:string[]"'
+  ].join('\n');
+}
+
+// `mern-server-setup add resource <Name> --fields <spec>`
+export async function runAdd(argv, cwd = process.cwd()) {
+  const { options: parsed, positionals } = parseArgs(argv, ADD_FLAGS);
+  const options = { ...ADD_DEFAULTS, ...parsed };
+
+  if (options.help) {
+    console.log(formatAddHelp());
+    return;
+  }
+
+  const [kind, name, ...extra] = positionals;
+  if (kind !== 'resource') {
+    throw new Error(kind ? `Unknown generator "${kind}" (available: resource)` : 'Missing generator, e.g. add resource Product');
+  }
+  if (!name) throw new Error('Missing resource name, e.g. add resource Product');
+  if (extra.length > 0) throw new Error(`Unexpected arguments: ${extra.join(' ')}`);
+  if (options.diff) options.dryRun = true;
+
+  // Projects generated with --typescript have server.ts and .ts sources
+  const hasServerTs = await fs.pathExists(path.join(cwd, 'server.ts'));
+  if (!hasServerTs && !(await fs.pathExists(path.join(cwd, 'server.js')))) {
+    throw new Error('No server.js or server.ts found. Run this command from the root of a project generated by mern-server-setup.');
+  }
+
+  // The choices the project was generated with (mern-setup.config.json).
+  // Projects generated before it existed are recognized by their files.
+  const config = await loadConfigFile(cwd);
+  const project = config ? config.options : {};
+  const typescript = 'typescript' in project ? project.typescript : hasServerTs;
+  const tests = 'tests' in project ? project.tests : await fs.pathExists(path.join(cwd, 'tests'));
+  const pm = project.pm || projectPackageManager(cwd);
+  const ext = typescript ? 'ts' : 'js';
+
+  const names = resourceNames(name);
+  const fields = parseFields(options.fields).map(field => ({
+    ...field,
+    lines: schemaLines(field),
+    property: interfaceProperty(field),
+    rule: validatorRule(field),
+    sample: sampleValue(field)
+  }));
+
+  const layers = await loadTemplateChain(typescript ? 'resource-typescript' : 'resource', cwd);
+  const searchFields = fields.filter(field => field.type === 'string' && !field.isArray).map(field => field.name);
+  const files = await renderTemplateChain(layers, { ...names, fields, searchFields, tests });
+
+  // Mount the new router next to the existing ones. Routers live in app.js,
+  // or in server.js for projects generated before the two were split.
+  const appFile = (await fs.pathExists(path.join(cwd, `app.${ext}`))) ? `app.${ext}` : `server.${ext}`;
+  const appSource = await fs.readFile(path.join(cwd, appFile), 'utf-8');
+  const mounted = mountRouter(appSource, names);
+  if (mounted === null) {
+    log(`⚠️  Could not find the route imports in ${appFile}, mount the router manually:`, 'yellow');
+    log(`   import ${names.pluralCamel} from './routes/${names.routeFile}.js';`, 'yellow');
+    log(`   app.use('/api/${names.routePath}', ${names.pluralCamel});`, 'yellow');
+  } else if (mounted !== appSource) {
+    files.push({ path: appFile, content: mounted, update: true });
+  }
+
+  // Describe the resource in the OpenAPI document, in projects that have one
+  const docsFile = `docs/resources.${ext}`;
+  const hasDocs = await fs.pathExists(path.join(cwd, docsFile));
+  if (hasDocs) {
+    const docsSource = await fs.readFile(path.join(cwd, docsFile), 'utf-8');
+    const registered = registerDocsResource(docsSource, names);
+    if (registered === null) {
+      log(`⚠️  Could not find the resource list in ${docsFile}, add the ${names.modelName} resource to it manually`, 'yellow');
+    } else if (registered !== docsSource) {
+      files.push({ path: docsFile, content: registered, update: true });
+    }
+  }
+
+  const entries = await analyzePlan(cwd, files);
+  if (options.dryRun) {
+    log(`📋 Dry run: files for the ${names.modelName} resource (nothing is written)\n`, 'cyan');
+    printPlan(entries, { diff: options.diff });
+    return;
+  }
+
+  log(`🧱 Adding ${names.modelName} resource...`, 'green');
+  const toWrite = await resolveConflicts(entries, options);
+  await writePlan(cwd, toWrite, { backup: options.backup });
+  toWrite.forEach(entry => log(`   ✅ ${entry.status === 'create' ? 'Created' : 'Updated'} ${entry.path}`, 'green'));
+
+  log(`\n🎉 ${names.modelName} resource ready:`, 'green');
+  log(`   GET    /api/${names.routePath}`, 'cyan');
+  log(`   POST   /api/${names.routePath}`, 'cyan');
+  log(`   GET    /api/${names.routePath}/:id`, 'cyan');
+  log(`   PUT    /api/${names.routePath}/:id`, 'cyan');
+  log(`   DELETE /api/${names.routePath}/:id`, 'cyan');
+
+  if (hasDocs) {
+    const docsCommand = runCommand(pm, 'docs');
+    try {
+      if (!writeOpenApi(cwd, pm)) log(`\n📘 Run ${docsCommand} to add it to openapi.json`, 'yellow');
+    } catch (error) {
+      log(`\n⚠️  Could not update openapi.json, run ${docsCommand}`, 'yellow');
+    }
+  }
+}
@@ -0,0 +1,159 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+import { log } from './log.js';
+import { ask, canPrompt } from './prompt.js';
+
+export const CONFLICT_POLICIES = ['abort', 'skip', 'overwrite', 'prompt'];
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+// Compare each planned file ({ path, content }) with what is on disk.
+// Status is 'create', 'overwrite', 'update' (an intended edit of an existing
+// file, marked with `update: true`) or 'unchanged'.
+export async function analyzePlan(baseDir, files) {
+  return Promise.all(files.map(async (file) => {
+    const target = path.join(baseDir, file.path);
+    const size = Buffer.byteLength(file.content);
+
+    if (!(await fs.pathExists(target))) {
+      return { ...file, target, size, status: 'create', existing: null };
+    }
+
+    const existing = await fs.readFile(target, 'utf-8');
+    let status = 'unchanged';
+    if (existing !== file.content) status = file.update ? 'update' : 'overwrite';
+    return { ...file, target, size, status, existing };
+  }));
+}
+
+// Print the file plan, and unified diffs against existing files if asked
+export function printPlan(entries, { diff = false } = {}) {
+  const colors = { create: 'green', overwrite: 'yellow', update: 'yellow', unchanged: 'cyan' };
+  const width = Math.max(...entries.map(entry => entry.path.length)) + 2;
+
+  for (const entry of entries) {
+    log(`   ${entry.status.padEnd(10)} ${entry.path.padEnd(width)}${formatSize(entry.size)}`, colors[entry.status]);
+  }
+
+  const counts = entries.reduce((acc, entry) => ({ ...acc, [entry.status]: (acc[entry.status] || 0) + 1 }), {});
+  const updated = counts.update ? `, ${counts.update} updated` : '';
+  log(`\n   ${entries.length} files: ${counts.create || 0} new, ${counts.overwrite || 0} overwritten${updated}, ${counts.unchanged || 0} unchanged`, 'cyan');
+
+  if (!diff) return;
+
+  const changed = entries.filter(entry => entry.status === 'overwrite' || entry.status === 'update');
+  if (changed.length === 0) {
+    log('\n   No existing files would change.', 'cyan');
+    return;
+  }
+  changed.forEach(printDiff);
+}
+
+// Print a unified diff between an existing file and its generated content
+export function printDiff(entry) {
+  console.log('\n' + createTwoFilesPatch(
+    `a/${entry.path}`,
+    `b/${entry.path}`,
+    entry.existing,
+    entry.content,
+    'existing',
+    'generated'
+  ));
+}
+
+// Count the entries of the target folder (0 when it does not exist yet)
+export async function countExisting(baseDir) {
+  if (!(await fs.pathExists(baseDir))) return 0;
+  return (await fs.readdir(baseDir)).length;
+}
+
+// Ask what to do with one conflicting file. Returns 'overwrite', 'skip',
+// 'overwrite-all', 'skip-all' or 'quit'.
+async function promptConflict(entry) {
+  const choices = { y: 'overwrite', n: 'skip', a: 'overwrite-all', s: 'skip-all', q: 'quit' };
+
+  for (;;) {
+    const answer = (await ask(
+      `⚠️  ${entry.path} already exists. Overwrite? [y]es / [n]o / [a]ll / [s]kip all / [d]iff / [q]uit (default: n): `
+    )).toLowerCase();
+
+    if (answer === 'd') {
+      printDiff(entry);
+      continue;
+    }
+    if (answer === '') return 'skip';
+    if (choices[answer[0]]) return choices[answer[0]];
+  }
+}
+
+// Decide which analyzed entries get written, according to the conflict
+// policy. Unchanged files are never rewritten and intended updates are
+// always applied. Throws when the run must stop.
+export async function resolveConflicts(entries, options) {
+  let policy = options.onConflict;
+  const conflicts = entries.filter(entry => entry.status === 'overwrite');
+  const toWrite = entries.filter(entry => entry.status === 'create' || entry.status === 'update');
+
+  if (conflicts.length === 0) return toWrite;
+
+  if (policy === 'prompt' && !canPrompt(options)) {
+    log('⚠️  Cannot prompt for conflicts without an interactive terminal, falling back to --on-conflict=abort', 'yellow');
+    policy = 'abort';
+  }
+
+  if (policy === 'abort') {
+    throw new Error(
+      `${conflicts.length} existing file(s) would be overwritten: ${conflicts.map(entry => entry.path).join(', ')}. ` +
+      'Re-run with --on-conflict=skip|overwrite|prompt, or use --diff to review the changes.'
+    );
+  }
+
+  if (policy === 'overwrite') return [...toWrite, ...conflicts];
+
+  if (policy === 'skip') {
+    conflicts.forEach(entry => log(`   ⏭️  Keeping existing ${entry.path}`, 'yellow'));
+    return toWrite;
+  }
+
+  // Interactive: ask for each file until the user picks an "all" answer
+  let decideAll = null;
+  for (const entry of conflicts) {
+    const decision = decideAll || await promptConflict(entry);
+    if (decision === 'quit') throw new Error('Aborted, no files were written');
+    if (decision === 'overwrite-all' || decision === 'skip-all') decideAll = decision;
+
+    if (decision.startsWith('overwrite')) {
+      toWrite.push(entry);
+    } else {
+      log(`   ⏭️  Keeping existing ${entry.path}`, 'yellow');
+    }
+  }
+  return toWrite;
+}
+
+// Copy a file to <file>.bak, or <file>.bak.N if a backup already exists
+async function backupFile(target) {
+  let backupPath = `${target}.bak`;
+  for (let i = 1; await fs.pathExists(backupPath); i++) {
+    backupPath = `${target}.bak.${i}`;
+  }
+  await fs.copy(target, backupPath);
+  return backupPath;
+}
+
+// Write every planned file, creating parent folders as needed. Existing
+// files are copied to *.bak first when `backup` is set.
+export async function writePlan(baseDir, files, { backup = false } = {}) {
+  for (const file of files) {
+    const target = path.join(baseDir, file.path);
+    if (backup && file.status === 'overwrite') {
+      const backupPath = await backupFile(target);
+      log(`   💾 Backed up ${file.path} to ${path.relative(baseDir, backupPath)}`, 'cyan');
+    }
+    await fs.outputFile(target, file.content);
+  }
+}
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+import {
+  loadTemplateChain,
+  addTypescriptLayer,
+  usesTypescript,
+  resolveTemplateVariables,
+  renderTemplateChain,
+  collectDependencies,
+  collectHooks
+} from './templates.js';
+import { pinDependencies, runCommand } from './packages.js';
+import { CONFIG_FILES } from './options.js';
+
+// Choices recorded in the mern-setup.config.json of every new project, a
+// regular config file. Generators such as `add resource` read it to match
+// the project (language, tests, package manager).
+export const PROJECT_CONFIG_KEYS = ['typescript', 'pm', 'auth', 'security', 'items', 'docs', 'tests', 'requestLogging', 'docker'];
+
+// The package.json of a generated project, with dependencies pinned by
+// pinDependencies(). Installing is a plain `<pm> install` of this file, so
+// --no-install only skips that step. TypeScript projects are compiled to
+// dist/ by `npm run build` and run with tsx during development. The docs
+// and test scripts are left out with the features they run.
+export function createPackageJson(name, { dependencies, devDependencies, typescript = false, docs = true, tests = true }) {
+  const scripts = typescript
+    ? {
+        start: 'node dist/server.js',
+        dev: 'nodemon --ext ts,json --exec tsx server.ts',
+        build: 'tsc -p tsconfig.build.json',
+        typecheck: 'tsc --noEmit',
+        'make-admin': 'tsx scripts/makeAdmin.ts',
+        docs: 'tsx scripts/generateOpenApi.ts',
+        test: 'tsx --test tests/*.test.ts'
+      }
+    : {
+        start: 'node server.js',
+        dev: 'nodemon server.js',
+        'make-admin': 'node scripts/makeAdmin.js',
+        docs: 'node scripts/generateOpenApi.js',
+        test: 'node --test'
+      };
+  if (!docs) delete scripts.docs;
+  if (!tests) delete scripts.test;
+
+  return {
+    name: name.toLowerCase().replace(/[^a-z0-9-._~]/g, '-'),
+    version: '1.0.0',
+    description: 'MERN backend server with JWT authentication and CRUD operations',
+    main: typescript ? 'dist/server.js' : 'server.js',
+    type: 'module',
+    scripts,
+    keywords: ['mern', 'express', 'mongodb', 'nodejs', 'backend', 'jwt', 'auth', 'api'],
+    author: '',
+    license: 'MIT',
+    dependencies,
+    devDependencies
+  };
+}
+
+// Everything a new project consists of, computed without touching the
+// disk: the rendered files (package.json included), the packages to
+// install and the postGenerate hooks. `options.name` is the project folder.
+export async function planProject(options, cwd = process.cwd()) {
+  const baseDir = path.resolve(cwd, options.name);
+
+  // Built-in files, optionally overridden or extended by --template
+  let layers = await loadTemplateChain(options.template, cwd);
+  if (options.typescript) layers = await addTypescriptLayer(layers, cwd);
+  const typescript = usesTypescript(layers);
+
+  const templateData = await resolveTemplateVariables(layers, {
+    projectName: options.name,
+    port: options.port,
+    mongoUri: options.mongoUri,
+    dbName: options.dbName,
+    clientUrl: options.clientUrl,
+    auth: options.auth,
+    // Rotating refresh token cookie (--auth jwt-refresh) next to the access token
+    refreshTokens: options.auth === 'jwt-refresh',
+    security: options.security,
+    items: options.items,
+    docs: options.docs,
+    tests: options.tests,
+    requestLogging: options.requestLogging,
+    docker: options.docker,
+    typescript,
+    // Extension of the source files, for file names in the README
+    ext: typescript ? 'ts' : 'js',
+    // Unique signing key per project, never shared between generated apps
+    jwtSecret: crypto.randomBytes(64).toString('hex')
+  }, options);
+  const files = await renderTemplateChain(layers, templateData);
+  const hooks = collectHooks(layers, 'postGenerate', templateData);
+  const { dependencies, devDependencies } = collectDependencies(layers, templateData);
+
+  const packageJson = createPackageJson(path.basename(baseDir), {
+    dependencies: await pinDependencies(dependencies),
+    devDependencies: await pinDependencies(devDependencies),
+    typescript,
+    docs: templateData.docs,
+    tests: templateData.tests
+  });
+  files.push({ path: 'package.json', content: JSON.stringify(packageJson, null, 2) + '\n' });
+
+  const config = Object.fromEntries(PROJECT_CONFIG_KEYS.map(key => [key, key === 'typescript' ? typescript : options[key]]));
+  files.push({ path: CONFIG_FILES[0], content: JSON.stringify(config, null, 2) + '\n' });
+
+  return { baseDir, layers, files, dependencies, devDependencies, hooks, typescript };
+}
+
+// Write openapi.json with the project's own script (npm run docs). It loads
+// the project's models, so it needs its installed packages; returns false
+// when they or the script (generateOpenApi.js or .ts) are missing.
+export function writeOpenApi(projectDir, pm = 'npm') {
+  const hasScript = ['js', 'ts'].some(ext => fs.existsSync(path.join(projectDir, 'scripts', `generateOpenApi.${ext}`)));
+  if (!hasScript || !fs.existsSync(path.join(projectDir, 'node_modules', 'mongoose'))) {
+    return false;
+  }
+  execSync(runCommand(pm, 'docs'), { cwd: projectDir, stdio: 'inherit' });
+  return true;
+}
@@ -0,0 +1,13 @@
+// Simple logging utility with colors
+export const COLORS = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+export function log(message, color = 'reset') {
+  const code = COLORS[color] || COLORS.reset;
+  console.log(`${code}${message}${COLORS.reset}`);
+}
@@ -0,0 +1,267 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { CONFLICT_POLICIES } from './files.js';
+import { PACKAGE_MANAGERS, detectPackageManager } from './packages.js';
+
+// Config files looked up in the working directory, in order of precedence
+export const CONFIG_FILES = ['mern-setup.config.json', '.mernrc'];
+
+export const DEFAULT_NAME = 'server';
+
+// Authentication strategies: access tokens with a rotating refresh token
+// cookie, or long-lived access tokens only (no RefreshToken model, no
+// /refresh or /logout routes)
+export const AUTH_STRATEGIES = ['jwt-refresh', 'jwt'];
+
+// Values used when neither a flag nor the config file supplies one
+export const DEFAULT_OPTIONS = {
+  port: 5000,
+  dbName: 'mern_app',
+  clientUrl: 'http://localhost:3000',
+  auth: 'jwt-refresh',
+  yes: false,
+  install: true,
+  start: true,
+  security: true,
+  typescript: false,
+  items: true,
+  docs: true,
+  tests: true,
+  requestLogging: true,
+  docker: false,
+  template: 'default',
+  dryRun: false,
+  diff: false,
+  onConflict: 'prompt',
+  backup: false
+};
+
+// Supported command line flags. Keys are the option names used internally,
+// `flag` is what the user types and `configurable` marks the options that
+// may also be set from a config file.
+export const FLAGS = {
+  name: { flag: 'name', alias: 'n', type: 'string', arg: '<folder>', configurable: true, description: 'Project folder name (default: server)' },
+  port: { flag: 'port', alias: 'p', type: 'number', arg: '<port>', configurable: true, description: 'Port the generated server listens on (default: 5000)' },
+  mongoUri: { flag: 'mongo-uri', type: 'string', arg: '<uri>', configurable: true, description: 'MongoDB connection string (default: mongodb://localhost:27017/<db-name>)' },
+  dbName: { flag: 'db-name', type: 'string', arg: '<name>', configurable: true, description: 'Database name used in the default MONGO_URI (default: mern_app)' },
+  clientUrl: { flag: 'client-url', type: 'string', arg: '<url>', configurable: true, description: 'Frontend origin allowed by CORS (default: http://localhost:3000)' },
+  auth: { flag: 'auth', type: 'string', arg: '<strategy>', choices: AUTH_STRATEGIES, configurable: true, description: `Authentication: ${AUTH_STRATEGIES.join('|')} (default: jwt-refresh, access tokens plus a rotating refresh token cookie)` },
+  security: { flag: 'security', type: 'boolean', negatable: true, configurable: true, description: 'Leave out the security middleware (headers, rate limits, sanitization, HPP, CORS allowlist)' },
+  typescript: { flag: 'typescript', type: 'boolean', configurable: true, description: 'Generate the project in TypeScript (tsconfig, typed models and requests, tsx for dev)' },
+  items: { flag: 'items', type: 'boolean', negatable: true, configurable: true, description: 'Leave out the sample Item CRUD resource' },
+  docs: { flag: 'docs', type: 'boolean', negatable: true, configurable: true, description: 'Leave out the OpenAPI document and Swagger UI at /api/docs' },
+  tests: { flag: 'tests', type: 'boolean', negatable: true, configurable: true, description: 'Leave out the test suite and mongodb-memory-server' },
+  requestLogging: { flag: 'request-logging', type: 'boolean', negatable: true, configurable: true, description: 'Leave out the log entry written for every request' },
+  docker: { flag: 'docker', type: 'boolean', configurable: true, description: 'Add a Dockerfile and a docker-compose.yml running the API with MongoDB' },
+  template: { flag: 'template', alias: 't', type: 'string', arg: '<path|package>', configurable: true, description: 'Local template directory or installed npm package extending the built-in files' },
+  variables: { type: 'object', configurable: true, configOnly: true, description: 'Values for template variables and prompts' },
+  config: { flag: 'config', alias: 'c', type: 'string', arg: '<file>', description: `Read options from a JSON config file (default: ${CONFIG_FILES.join(' or ')})` },
+  yes: { flag: 'yes', alias: 'y', type: 'boolean', configurable: true, description: 'Skip all prompts and use defaults' },
+  pm: { flag: 'pm', type: 'string', arg: '<name>', choices: PACKAGE_MANAGERS, configurable: true, description: `Package manager: ${PACKAGE_MANAGERS.join('|')} (default: the one running the CLI, else npm)` },
+  install: { flag: 'install', type: 'boolean', negatable: true, configurable: true, description: 'Skip installing dependencies (only write a pinned package.json)' },
+  start: { flag: 'start', type: 'boolean', negatable: true, configurable: true, description: 'Do not start the dev server after setup' },
+  dryRun: { flag: 'dry-run', type: 'boolean', description: 'List the files that would be generated without writing anything' },
+  diff: { flag: 'diff', type: 'boolean', description: 'Show a unified diff against existing files (implies --dry-run)' },
+  onConflict: { flag: 'on-conflict', type: 'string', arg: '<policy>', choices: CONFLICT_POLICIES, configurable: true, description: `What to do with existing files: ${CONFLICT_POLICIES.join('|')} (default: prompt)` },
+  backup: { flag: 'backup', type: 'boolean', configurable: true, description: 'Copy overwritten files to *.bak first' },
+  help: { flag: 'help', alias: 'h', type: 'boolean', description: 'Show this help' },
+  version: { flag: 'version', alias: 'v', type: 'boolean', description: 'Show the CLI version' }
+};
+
+function findFlag(flags, token, isLong) {
+  return Object.entries(flags).find(([, def]) => !def.configOnly && (isLong ? def.flag : def.alias) === token);
+}
+
+function coerce(def, key, value, source) {
+  if (def.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Option "${key}" expects an object (${source})`);
+    }
+    return value;
+  }
+  if (def.type === 'number') {
+    const number = Number(value);
+    if (value === '' || value === true || !Number.isFinite(number)) {
+      throw new Error(`Option "${def.flag}" expects a number, got "${value}" (${source})`);
+    }
+    return number;
+  }
+  if (def.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`Option "${def.flag}" expects true or false, got "${value}" (${source})`);
+  }
+  if (typeof value !== 'string' || value === '') {
+    throw new Error(`Option "${def.flag}" expects a value (${source})`);
+  }
+  if (def.choices && !def.choices.includes(value)) {
+    throw new Error(`Option "${def.flag}" must be one of ${def.choices.join(', ')}, got "${value}" (${source})`);
+  }
+  return value;
+}
+
+// Parse command line arguments into an options object.
+// Supports --flag value, --flag=value, --no-flag, short aliases and
+// positional arguments (`mern-server-setup my-api`).
+export function parseArgs(argv, flags = FLAGS) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const isLong = arg.startsWith('--');
+    const body = arg.slice(isLong ? 2 : 1);
+    const eqIndex = body.indexOf('=');
+    const token = eqIndex === -1 ? body : body.slice(0, eqIndex);
+    let inlineValue = eqIndex === -1 ? undefined : body.slice(eqIndex + 1);
+
+    let match = findFlag(flags, token, isLong);
+    let negated = false;
+    if (!match && isLong && token.startsWith('no-')) {
+      match = findFlag(flags, token.slice(3), true);
+      negated = Boolean(match && match[1].negatable);
+      if (!negated) match = undefined;
+    }
+    if (!match) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    const [key, def] = match;
+    if (def.type === 'boolean') {
+      if (negated) {
+        if (inlineValue !== undefined) throw new Error(`Option --no-${def.flag} does not take a value`);
+        options[key] = false;
+      } else {
+        options[key] = inlineValue === undefined ? true : coerce(def, key, inlineValue, arg);
+      }
+      continue;
+    }
+
+    if (inlineValue === undefined) {
+      inlineValue = argv[i + 1];
+      if (inlineValue === undefined || inlineValue.startsWith('-')) {
+        throw new Error(`Option ${arg} expects a value`);
+      }
+      i++;
+    }
+    options[key] = coerce(def, key, inlineValue, arg);
+  }
+
+  return { options, positionals };
+}
+
+// Load the config file named by --config, or the first of CONFIG_FILES
+// found in `cwd`. Returns null when no config file is present.
+export async function loadConfigFile(cwd, explicitPath) {
+  const candidates = explicitPath
+    ? [path.resolve(cwd, explicitPath)]
+    : CONFIG_FILES.map(file => path.join(cwd, file));
+
+  for (const file of candidates) {
+    if (!(await fs.pathExists(file))) {
+      if (explicitPath) throw new Error(`Config file not found: ${explicitPath}`);
+      continue;
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${path.basename(file)}: ${error.message}`);
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`${path.basename(file)} must contain a JSON object`);
+    }
+
+    const options = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (!FLAGS[key] || !FLAGS[key].configurable) {
+        throw new Error(`Unknown option "${key}" in ${path.basename(file)}`);
+      }
+      options[key] = coerce(FLAGS[key], key, value, path.basename(file));
+    }
+    return { file, options };
+  }
+
+  return null;
+}
+
+// Merge defaults, config file and command line flags (in increasing order
+// of precedence) into the options object used by the generator.
+export async function resolveOptions(argv, cwd = process.cwd()) {
+  const { options: cliOptions, positionals } = parseArgs(argv);
+
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+  }
+  if (positionals.length === 1) {
+    if (cliOptions.name) throw new Error('Project name given both as argument and --name');
+    cliOptions.name = positionals[0];
+  }
+
+  // --help and --version never need a config file
+  if (cliOptions.help || cliOptions.version) {
+    return { ...DEFAULT_OPTIONS, ...cliOptions, configFile: null };
+  }
+
+  const config = await loadConfigFile(cwd, cliOptions.config);
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...(config ? config.options : {}),
+    ...cliOptions,
+    configFile: config ? config.file : null
+  };
+
+  if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  if (options.diff) {
+    options.dryRun = true;
+  }
+  if (!options.mongoUri) {
+    options.mongoUri = `mongodb://localhost:27017/${options.dbName}`;
+  }
+  if (!options.pm) {
+    options.pm = detectPackageManager();
+  }
+
+  return options;
+}
+
+// One help line per flag, aligned
+export function formatFlags(flags) {
+  const rows = Object.values(flags).filter(def => !def.configOnly).map(def => {
+    const names = [def.alias ? `-${def.alias},` : '   ', `--${def.negatable ? 'no-' : ''}${def.flag}`];
+    if (def.arg) names.push(def.arg);
+    return [names.join(' '), def.description];
+  });
+  const width = Math.max(...rows.map(([names]) => names.length)) + 2;
+  return rows.map(([names, description]) => `  ${names.padEnd(width)}${description}`);
+}
+
+// Build the --help text from the FLAGS table
+export function formatHelp() {
+  return [
+    'Usage: mern-server-setup [folder] [options]',
+    '       mern-server-setup add resource <Name> --fields <spec>   (run add --help for details)',
+    '',
+    'Options:',
+    ...formatFlags(FLAGS),
+    '',
+    `Options can also be set in ${CONFIG_FILES.join(' or ')} in the current directory,`,
+    'using the camelCase option names, e.g. { "name": "api", "port": 4000, "install": false }.',
+    'Command line flags take precedence over the config file.'
+  ].join('\n');
+}
@@ -0,0 +1,56 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// Exact versions of every package the built-in templates use, tested
+// together. Generated projects are pinned to them; bump them here (and run
+// the tests) rather than upgrading projects after they are generated.
+export const VERSIONS_FILE = path.join(__dirname, '..', 'versions.json');
+
+// Lock files that give away the package manager of an existing project
+const LOCK_FILES = {
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'bun.lock': 'bun',
+  'bun.lockb': 'bun',
+  'package-lock.json': 'npm'
+};
+
+// The package manager that launched the CLI. npx, pnpm dlx, yarn dlx and
+// bunx set npm_config_user_agent, e.g. "pnpm/9.1.0 npm/? node/v20.11.0";
+// anything else falls back to npm.
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent || '') {
+  const name = userAgent.split('/')[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : 'npm';
+}
+
+// The package manager of an existing project, from its lock file
+export function projectPackageManager(projectDir) {
+  const lockFile = Object.keys(LOCK_FILES).find(file => fs.existsSync(path.join(projectDir, file)));
+  return lockFile ? LOCK_FILES[lockFile] : 'npm';
+}
+
+export const installCommand = (pm) => `${pm} install`;
+export const runCommand = (pm, script) => `${pm} run ${script}`;
+
+// "pino", "pino@^9.0.0" or "@acme/log@1.2.0" -> { name, version }
+function parseDependency(spec) {
+  const at = spec.lastIndexOf('@');
+  return at > 0 ? { name: spec.slice(0, at), version: spec.slice(at + 1) } : { name: spec, version: undefined };
+}
+
+// package.json entries for a list of dependencies, sorted by name. Versions
+// come from the template ("pino@^9.0.0"), then versions.json; packages
+// found in neither get "latest".
+export async function pinDependencies(specs) {
+  const versions = await fs.readJson(VERSIONS_FILE);
+  const entries = specs.map(spec => {
+    const { name, version } = parseDependency(spec);
+    return [name, version || versions[name] || 'latest'];
+  });
+  return Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+}
@@ -0,0 +1,120 @@
+import readline from 'readline';
+import { COLORS } from './log.js';
+
+// Ask a single question on stdin and resolve with the trimmed answer
+export function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// Prompts can only be answered when a user is attached to stdin
+export function canPrompt(options = {}) {
+  return !options.yes && Boolean(process.stdin.isTTY);
+}
+
+// Next state of an arrow-key menu after a keypress. The state is
+// { cursor, selected, done, cancelled } with one boolean per choice in
+// `selected`; up/down (or k/j) move, space toggles a choice and "a" toggles
+// all of them in a multi-select, enter confirms and Ctrl+C or Esc cancels.
+export function menuKey(state, key, multiple = false) {
+  const count = state.selected.length;
+  if ((key.ctrl && key.name === 'c') || key.name === 'escape') return { ...state, cancelled: true };
+  if (key.ctrl || key.meta) return state;
+
+  switch (key.name) {
+    case 'up':
+    case 'k':
+      return { ...state, cursor: (state.cursor + count - 1) % count };
+    case 'down':
+    case 'j':
+      return { ...state, cursor: (state.cursor + 1) % count };
+    case 'space':
+      if (!multiple) return state;
+      return { ...state, selected: state.selected.map((on, index) => (index === state.cursor ? !on : on)) };
+    case 'a': {
+      if (!multiple) return state;
+      const all = state.selected.every(Boolean);
+      return { ...state, selected: state.selected.map(() => !all) };
+    }
+    case 'return':
+    case 'enter':
+      return {
+        ...state,
+        done: true,
+        selected: multiple ? state.selected : state.selected.map((on, index) => index === state.cursor)
+      };
+    default:
+      return state;
+  }
+}
+
+// Let the user pick from `choices` ({ value, label, hint }) with the arrow
+// keys. Resolves with the chosen value, or with `multiple` the list of
+// checked values. `initial` is the preselected value (or values). Rejects
+// with an error flagged `cancelled` on Ctrl+C.
+export function choose(question, choices, { multiple = false, initial } = {}) {
+  const { stdin, stdout } = process;
+  const initialValues = multiple ? initial || [] : [initial];
+  let state = {
+    cursor: multiple ? 0 : Math.max(0, choices.findIndex(choice => choice.value === initial)),
+    selected: choices.map(choice => initialValues.includes(choice.value)),
+    done: false,
+    cancelled: false
+  };
+  const keys = multiple ? '↑/↓ move, space toggles, a toggles all, enter confirms' : '↑/↓ move, enter confirms';
+  let drawn = 0;
+
+  const clear = () => {
+    readline.moveCursor(stdout, 0, -drawn);
+    readline.clearScreenDown(stdout);
+  };
+  const draw = () => {
+    clear();
+    const lines = [`❓ ${question} ${COLORS.cyan}(${keys})${COLORS.reset}`];
+    choices.forEach((choice, index) => {
+      const pointer = index === state.cursor ? `${COLORS.cyan}❯${COLORS.reset}` : ' ';
+      const box = multiple ? (state.selected[index] ? `${COLORS.green}◉${COLORS.reset} ` : '◯ ') : '';
+      const hint = choice.hint ? ` ${COLORS.cyan}- ${choice.hint}${COLORS.reset}` : '';
+      lines.push(`${pointer} ${box}${choice.label}${hint}`);
+    });
+    stdout.write(lines.join('\n') + '\n');
+    drawn = lines.length;
+  };
+
+  return new Promise((resolve, reject) => {
+    const wasRaw = stdin.isRaw;
+    const onKeypress = (text, key = {}) => {
+      state = menuKey(state, key, multiple);
+      if (!state.done && !state.cancelled) {
+        draw();
+        return;
+      }
+
+      stdin.off('keypress', onKeypress);
+      stdin.setRawMode(wasRaw);
+      stdin.pause();
+      clear();
+      if (state.cancelled) {
+        reject(Object.assign(new Error('Cancelled'), { cancelled: true }));
+        return;
+      }
+      const picked = choices.filter((choice, index) => state.selected[index]);
+      stdout.write(`❓ ${question}: ${COLORS.green}${picked.map(choice => choice.label).join(', ') || 'none'}${COLORS.reset}\n`);
+      resolve(multiple ? picked.map(choice => choice.value) : picked[0].value);
+    };
+
+    readline.emitKeypressEvents(stdin);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('keypress', onKeypress);
+    draw();
+  });
+}
@@ -0,0 +1,287 @@
+// Naming, field parsing and schema generation for `add resource`
+
+const TYPES = {
+  string: 'String',
+  number: 'Number',
+  boolean: 'Boolean',
+  date: 'Date',
+  objectid: 'mongoose.Schema.ObjectId'
+};
+
+// Types of the model interface in TypeScript projects
+const TS_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  date: 'Date',
+  objectid: 'Types.ObjectId'
+};
+
+const FLAG_MODIFIERS = ['required', 'unique', 'trim', 'lowercase', 'uppercase', 'index'];
+const NUMBER_MODIFIERS = ['min', 'max', 'minlength', 'maxlength'];
+const VALUE_MODIFIERS = ['default', 'enum', 'ref'];
+const RESERVED_FIELDS = ['_id', '__v', 'id', 'user', 'createdAt', 'updatedAt'];
+
+function toWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+  if (/(s|x|z|ch|sh)$/.test(word)) return word + 'es';
+  return word + 's';
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// All the names derived from a resource name such as "Product" or
+// "order-item": model, variables, handlers, route file and URL path
+export function resourceNames(name) {
+  if (!/^[A-Za-z][A-Za-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid resource name "${name}": use letters and digits, e.g. Product or OrderItem`);
+  }
+  const words = toWords(name);
+  const pluralWords = [...words.slice(0, -1), pluralize(words[words.length - 1])];
+  const camel = (list) => list[0] + list.slice(1).map(capitalize).join('');
+
+  return {
+    modelName: words.map(capitalize).join(''),
+    camelName: camel(words),
+    pluralCamel: camel(pluralWords),
+    pluralPascal: pluralWords.map(capitalize).join(''),
+    label: words.join(' '),
+    pluralLabel: pluralWords.join(' '),
+    routeFile: camel(pluralWords),
+    routePath: pluralWords.join('-')
+  };
+}
+
+function parseValue(type, raw, field) {
+  if (type === 'number') {
+    const number = Number(raw);
+    if (raw === '' || !Number.isFinite(number)) throw new Error(`Field "${field}": "${raw}" is not a number`);
+    return number;
+  }
+  if (type === 'boolean') {
+    if (raw !== 'true' && raw !== 'false') throw new Error(`Field "${field}": "${raw}" is not true or false`);
+    return raw === 'true';
+  }
+  return raw;
+}
+
+// Parse "name:string:required,price:number:min=0,tags:string[]" into a
+// list of field definitions
+export function parseFields(spec) {
+  if (!spec || !spec.trim()) throw new Error('No fields given, e.g. --fields name:string:required,price:number:min=0');
+
+  const fields = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [name, rawType = 'string', ...modifiers] = part.split(':').map(piece => piece.trim());
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`Invalid field name "${name}"`);
+    if (RESERVED_FIELDS.includes(name)) throw new Error(`Field name "${name}" is reserved`);
+
+    const isArray = rawType.endsWith('[]');
+    const type = (isArray ? rawType.slice(0, -2) : rawType).toLowerCase();
+    if (!TYPES[type]) {
+      throw new Error(`Field "${name}": unknown type "${rawType}" (use ${Object.keys(TYPES).join(', ')}, optionally with [])`);
+    }
+
+    const field = { name, type, isArray, options: {} };
+    for (const modifier of modifiers) {
+      const eqIndex = modifier.indexOf('=');
+      const key = eqIndex === -1 ? modifier : modifier.slice(0, eqIndex);
+      const value = eqIndex === -1 ? undefined : modifier.slice(eqIndex + 1);
+
+      if (isArray && key !== 'ref') {
+        throw new Error(`Field "${name}": "${key}" is not supported on array fields`);
+      }
+      if (FLAG_MODIFIERS.includes(key)) {
+        if (value !== undefined) throw new Error(`Field "${name}": "${key}" does not take a value`);
+        field.options[key] = true;
+      } else if (NUMBER_MODIFIERS.includes(key)) {
+        if (value === undefined) throw new Error(`Field "${name}": "${key}" needs a value, e.g. ${key}=0`);
+        field.options[key] = parseValue('number', value, name);
+      } else if (VALUE_MODIFIERS.includes(key)) {
+        if (!value) throw new Error(`Field "${name}": "${key}" needs a value`);
+        if (key === 'enum') {
+          field.options.enum = value.split('|').map(item => parseValue(type, item, name));
+        } else if (key === 'default') {
+          field.options.default = type === 'date' && value === 'now' ? value : parseValue(type, value, name);
+        } else {
+          if (type !== 'objectid') throw new Error(`Field "${name}": "ref" only applies to objectid fields`);
+          field.options.ref = value;
+        }
+      } else {
+        throw new Error(`Field "${name}": unknown modifier "${key}"`);
+      }
+    }
+
+    if (type === 'objectid' && !field.options.ref) {
+      throw new Error(`Field "${name}": objectid fields need a ref, e.g. ${name}:objectid:ref=User`);
+    }
+    return field;
+  });
+
+  const duplicate = fields.find((field, index) => fields.findIndex(other => other.name === field.name) !== index);
+  if (duplicate) throw new Error(`Field "${duplicate.name}" is defined twice`);
+  return fields;
+}
+
+function literal(type, value) {
+  if (type === 'date' && value === 'now') return 'Date.now';
+  return typeof value === 'string' ? quote(value) : String(value);
+}
+
+// Lines of the Mongoose schema definition for a field, in the style of the
+// built-in models (validation messages included)
+export function schemaLines(field) {
+  const label = capitalize(toWords(field.name).join(' '));
+  const { options } = field;
+  const lines = [`type: ${field.isArray ? `[${TYPES[field.type]}]` : TYPES[field.type]}`];
+
+  if (options.ref) lines.push(`ref: ${quote(options.ref)}`);
+  if (options.required) lines.push(`required: [true, ${quote(`Please add a ${label.toLowerCase()}`)}]`);
+  if (options.unique) lines.push('unique: true');
+  if (options.index) lines.push('index: true');
+  if (options.trim) lines.push('trim: true');
+  if (options.lowercase) lines.push('lowercase: true');
+  if (options.uppercase) lines.push('uppercase: true');
+  if (options.minlength !== undefined) {
+    lines.push(`minlength: [${options.minlength}, ${quote(`${label} must be at least ${options.minlength} characters`)}]`);
+  }
+  if (options.maxlength !== undefined) {
+    lines.push(`maxlength: [${options.maxlength}, ${quote(`${label} cannot be more than ${options.maxlength} characters`)}]`);
+  }
+  if (options.min !== undefined) {
+    const message = options.min === 0 ? `${label} cannot be negative` : `${label} must be at least ${options.min}`;
+    lines.push(`min: [${options.min}, ${quote(message)}]`);
+  }
+  if (options.max !== undefined) {
+    lines.push(`max: [${options.max}, ${quote(`${label} cannot be more than ${options.max}`)}]`);
+  }
+  if (options.enum) lines.push(`enum: [${options.enum.map(value => literal(field.type, value)).join(', ')}]`);
+  if (options.default !== undefined) lines.push(`default: ${literal(field.type, options.default)}`);
+
+  return lines;
+}
+
+// Property of the model interface in TypeScript projects, the type-level
+// counterpart of schemaLines. Fields without `required` or a default are
+// optional and enums become a union of their values.
+export function interfaceProperty(field) {
+  const { options } = field;
+  const type = options.enum ? options.enum.map(value => literal(field.type, value)).join(' | ') : TS_TYPES[field.type];
+  const optional = !field.isArray && !options.required && options.default === undefined;
+  return `${field.name}${optional ? '?' : ''}: ${field.isArray ? `${type}[]` : type}`;
+}
+
+// Rule for the field in the generated validators file, the request body
+// counterpart of schemaLines (see middlewares/validate.js in the project)
+export function validatorRule(field) {
+  const { options } = field;
+  const parts = field.isArray
+    ? [`type: 'array'`, `of: ${quote(field.type)}`]
+    : [`type: ${quote(field.type)}`];
+
+  if (options.required) parts.push('required: true');
+  if (options.trim) parts.push('trim: true');
+  if (options.lowercase) parts.push('lowercase: true');
+  if (options.uppercase) parts.push('uppercase: true');
+  if (options.minlength !== undefined) parts.push(`minLength: ${options.minlength}`);
+  if (options.maxlength !== undefined) parts.push(`maxLength: ${options.maxlength}`);
+  if (options.min !== undefined) parts.push(`min: ${options.min}`);
+  if (options.max !== undefined) parts.push(`max: ${options.max}`);
+  if (options.enum) parts.push(`enum: [${options.enum.map(value => literal(field.type, value)).join(', ')}]`);
+
+  return `{ ${parts.join(', ')} }`;
+}
+
+// A value that passes the field's validation, used as request data in the
+// generated tests
+export function sampleValue(field) {
+  const { options } = field;
+  if (field.isArray) return '[]';
+  if (options.enum) return literal(field.type, options.enum[0]);
+
+  switch (field.type) {
+    case 'number': {
+      if (options.min !== undefined) return String(options.min);
+      return String(options.max !== undefined ? Math.min(1, options.max) : 1);
+    }
+    case 'boolean':
+      return 'true';
+    case 'date':
+      return quote('2030-01-01T00:00:00.000Z');
+    case 'objectid':
+      return quote('64b7f0c2a1b2c3d4e5f60718');
+    default: {
+      let value = `sample ${toWords(field.name).join(' ')}`;
+      if (options.minlength !== undefined && value.length < options.minlength) value = value.padEnd(options.minlength, 'x');
+      if (options.maxlength !== undefined) value = value.slice(0, options.maxlength);
+      if (options.uppercase) value = value.toUpperCase();
+      return quote(value);
+    }
+  }
+}
+
+// Add the import and app.use() lines for a new router to app.js (or the
+// server.js of older projects).
+// Returns null when server.js does not have the expected layout.
+export function mountRouter(serverSource, { routeFile, routePath, pluralCamel }) {
+  const importLine = `import ${pluralCamel} from './routes/${routeFile}.js';`;
+  const mountLine = `app.use('/api/${routePath}', ${pluralCamel});`;
+  if (serverSource.includes(importLine) && serverSource.includes(mountLine)) return serverSource;
+
+  const lines = serverSource.split('\n');
+  const lastIndex = (pattern) => lines.reduce((found, line, index) => (pattern.test(line) ? index : found), -1);
+
+  const importIndex = lastIndex(/^import \w+ from '\.\/routes\/[^']+';$/);
+  const mountIndex = lastIndex(/^\s*app\.use\('\/api\/[^']+', \w+\);$/);
+  if (importIndex === -1 || mountIndex === -1) return null;
+
+  // Insert the later line first so the earlier index stays valid. The mount
+  // keeps the indentation of its neighbours (inside createApp() in app.js).
+  const indent = lines[mountIndex].match(/^\s*/)[0];
+  lines.splice(mountIndex + 1, 0, `${indent}${mountLine}`);
+  lines.splice(importIndex + 1, 0, importLine);
+  return lines.join('\n');
+}
+
+// Add a resource to docs/resources.js, the list of CRUD resources in the
+// generated OpenAPI document. The list may be empty (`const resources = [];`
+// in projects generated with --no-items). Returns null when the file does
+// not have the expected layout.
+export function registerDocsResource(source, { modelName, camelName, routePath, pluralLabel }) {
+  const modelImport = `import ${modelName} from '../models/${modelName}.js';`;
+  const rulesImport = `import { ${camelName}Rules } from '../validators/${camelName}Validators.js';`;
+  const tag = capitalize(pluralLabel);
+  const entry = `{ model: ${modelName}, path: '/api/${routePath}', rules: ${camelName}Rules, tag: '${tag}' }`;
+  if (source.includes(entry)) return source;
+
+  const lines = source.split('\n');
+  const lastIndex = (pattern) => lines.reduce((found, line, index) => (pattern.test(line) ? index : found), -1);
+
+  const entryIndex = lastIndex(/^\s*\{ model: \w+, .*\},?$/);
+  const emptyIndex = lastIndex(/^const resources\b.* = \[\];$/);
+  const importIndex = entryIndex === -1
+    ? lastIndex(/^import .+ from '[^']+';$/)
+    : lastIndex(/^import .+ from '\.\.\/(models|validators)\/[^']+';$/);
+  if (entryIndex === -1 && emptyIndex === -1) return null;
+  if (entryIndex !== -1 && importIndex === -1) return null;
+
+  // Insert the later lines first so the earlier index stays valid
+  if (entryIndex === -1) {
+    lines.splice(emptyIndex, 1, lines[emptyIndex].replace(/\[\];$/, '['), `  ${entry}`, '];');
+  } else {
+    const indent = lines[entryIndex].match(/^\s*/)[0];
+    if (!lines[entryIndex].endsWith(',')) lines[entryIndex] += ',';
+    lines.splice(entryIndex + 1, 0, `${indent}${entry}`);
+  }
+  lines.splice(importIndex + 1, 0, modelImport, rulesImport);
+  return lines.join('\n');
+}
@@ -0,0 +1,161 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// A deliberately small, logic-less template syntax:
+//
+//   {{name}} {{user.email}}          insert a value
+//   {{#if flag}} ... {{else}} ... {{/if}}
+//   {{#unless flag}} ... {{/unless}}
+//   {{#each list}} {{this}} {{this.name}} {{@index}} {{@first}} {{@last}} {{/each}}
+//   \{{                              a literal "{{"
+//
+// Block tags that sit on a line of their own are removed together with that
+// line, so templates can be indented like the code they generate.
+
+const TAG = /(?<!\\)\{\{\s*(#if|#unless|#each|\/if|\/unless|\/each|else)?\s*([^}]*?)\s*\}\}/g;
+const STANDALONE = /^[ \t]*(\{\{\s*(?:#(?:if|unless|each)\b[^}]*|\/(?:if|unless|each)|else)\s*\}\})[ \t]*\r?\n/gm;
+
+// Turn the template source into a tree of text, variable and block nodes
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) current().children.push({ type: 'text', value: text.replace(/\\\{\{/g, '{{') });
+  };
+
+  const normalized = source.replace(STANDALONE, '$1');
+  for (const match of normalized.matchAll(TAG)) {
+    pushText(normalized.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, keyword, expression] = match;
+    const line = normalized.slice(0, match.index).split('\n').length;
+
+    if (!keyword) {
+      if (!expression) throw new Error(`Empty tag in ${name}:${line}`);
+      current().children.push({ type: 'var', name: expression });
+    } else if (keyword.startsWith('#')) {
+      if (!expression) throw new Error(`Missing expression for {{${keyword}}} in ${name}:${line}`);
+      const block = { type: keyword.slice(1), name: expression, children: [], inverse: [], line };
+      current().children.push(block);
+      stack.push(block);
+    } else if (keyword === 'else') {
+      const block = current();
+      if (block === root || block.type === 'each' || block.inElse) {
+        throw new Error(`Unexpected {{else}} in ${name}:${line}`);
+      }
+      block.inElse = true;
+      block.consequent = block.children;
+      block.children = block.inverse;
+    } else {
+      const block = current();
+      if (block === root || block.type !== keyword.slice(1)) {
+        throw new Error(`Unexpected {{${keyword}}} in ${name}:${line}`);
+      }
+      if (block.inElse) block.children = block.consequent;
+      stack.pop();
+    }
+  }
+
+  pushText(normalized.slice(lastIndex));
+  if (stack.length > 1) {
+    const block = current();
+    throw new Error(`Unclosed {{#${block.type} ${block.name}}} in ${name}:${block.line}`);
+  }
+  return root.children;
+}
+
+// Look a (dotted) name up through the scope chain, innermost scope first
+function lookup(scopes, name) {
+  const top = scopes[scopes.length - 1];
+  if (name.startsWith('@')) return top.meta ? top.meta[name.slice(1)] : undefined;
+
+  const [head, ...rest] = name.split('.');
+  let value;
+  if (head === 'this') {
+    value = top.value;
+  } else {
+    const scope = [...scopes].reverse().find(s => s.value !== null && typeof s.value === 'object' && head in s.value);
+    value = scope ? scope.value[head] : undefined;
+  }
+  for (const key of rest) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, name) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const value = lookup(scopes, node.name);
+      if (value === undefined) throw new Error(`Unknown template variable "${node.name}" in ${name}`);
+      output += value === null ? '' : String(value);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const truthy = isTruthy(lookup(scopes, node.name));
+      const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+      output += renderNodes(branch, scopes, name);
+    } else if (node.type === 'each') {
+      const list = lookup(scopes, node.name) || [];
+      if (!Array.isArray(list)) throw new Error(`{{#each ${node.name}}} expects a list in ${name}`);
+      list.forEach((value, index) => {
+        const meta = { index, first: index === 0, last: index === list.length - 1 };
+        output += renderNodes(node.children, [...scopes, { value, meta }], name);
+      });
+    }
+  }
+  return output;
+}
+
+// Render a template string with the given data
+export function render(source, data, name = 'template') {
+  return renderNodes(parse(source, name), [{ value: data }], name);
+}
+
+// Template file names starting with "_" become dot files (_gitignore ->
+// .gitignore), since npm refuses to publish some dot files. Names may also
+// contain placeholders, e.g. models/{{modelName}}.js.
+export function outputPath(templatePath, data) {
+  const rendered = render(templatePath, data, templatePath);
+  return rendered
+    .split('/')
+    .map(segment => (segment.startsWith('_') ? '.' + segment.slice(1) : segment))
+    .join('/');
+}
+
+// List every file of a template directory, as paths relative to it
+export async function listTemplateFiles(dir, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listTemplateFiles(dir, relative)));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Render every file of a template directory into { path, content } entries
+export async function renderTemplateDir(dir, data) {
+  const files = [];
+  for (const templatePath of await listTemplateFiles(dir)) {
+    const source = await fs.readFile(path.join(dir, templatePath), 'utf-8');
+    files.push({
+      path: outputPath(templatePath, data),
+      content: render(source, data, templatePath)
+    });
+  }
+  return files;
+}
@@ -0,0 +1,230 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { renderTemplateDir, render } from './template.js';
+import { ask, canPrompt } from './prompt.js';
+import { log } from './log.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+export const MANIFEST_FILE = 'template.json';
+const DEFAULT_TEMPLATE_DIR = path.join(BUILTIN_TEMPLATES_DIR, 'default');
+const TYPESCRIPT_TEMPLATE_DIR = path.join(BUILTIN_TEMPLATES_DIR, 'typescript');
+
+// A template is a directory holding an optional template.json manifest:
+//
+//   {
+//     "name": "acme-service",
+//     "extends": "default",          // built-in name, relative path or false
+//     "files": "files",              // folder with the template files
+//     "remove": ["routes/items.js"], // drop files produced by the parent ("**/*.js" for all .js files)
+//     "optional": { "docker": ["Dockerfile", "docker/"] }, // only kept when the variable is truthy
+//     "variables": { "team": "platform" },
+//     "prompts": [{ "name": "owner", "message": "Owning team", "default": "platform" }],
+//     "dependencies": ["pino@^9.0.0"], // without a version: versions.json or latest
+//     "devDependencies": ["eslint", { "name": "c8", "when": "tests" }], // "when": only if truthy
+//     "hooks": { "postGenerate": ["npx eslint --fix ."] }
+//   }
+//
+// Without a manifest the whole directory is treated as files that extend
+// the default template.
+
+// Find a template given on the command line: a built-in name, a local
+// directory, or an npm package installed next to the working directory.
+// Templates are never downloaded.
+export async function resolveTemplateDir(spec, cwd) {
+  const builtin = path.join(BUILTIN_TEMPLATES_DIR, spec);
+  if (!spec.includes('/') && !spec.includes('\\') && (await fs.pathExists(path.join(builtin, MANIFEST_FILE)))) {
+    return builtin;
+  }
+
+  const local = path.resolve(cwd, spec);
+  if (await fs.pathExists(local)) {
+    if (!(await fs.stat(local)).isDirectory()) throw new Error(`Template is not a directory: ${spec}`);
+    return local;
+  }
+
+  try {
+    const require = createRequire(path.join(cwd, 'noop.js'));
+    return path.dirname(require.resolve(`${spec}/package.json`));
+  } catch (error) {
+    throw new Error(`Template not found: ${spec} (expected a local directory or an installed npm package)`);
+  }
+}
+
+async function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!(await fs.pathExists(file))) return null;
+  try {
+    return await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+}
+
+// Load a template and everything it extends. Returns the layers base first.
+export async function loadTemplateChain(spec, cwd, seen = []) {
+  const dir = await resolveTemplateDir(spec, cwd);
+  if (seen.includes(dir)) throw new Error(`Template ${spec} extends itself`);
+
+  const manifest = await readManifest(dir);
+  const layer = {
+    name: (manifest && manifest.name) || path.basename(dir),
+    dir,
+    filesDir: path.join(dir, (manifest && manifest.files) || (manifest ? 'files' : '.')),
+    manifest: manifest || {}
+  };
+  if (!(await fs.pathExists(layer.filesDir))) {
+    throw new Error(`Template ${layer.name} has no files folder: ${layer.filesDir}`);
+  }
+
+  const parent = manifest ? manifest.extends : 'default';
+  if (!parent) return [layer];
+  const parentLayers = await loadTemplateChain(parent, dir, [...seen, dir]);
+  return [...parentLayers, layer];
+}
+
+// --typescript: put the built-in typescript layer right after the default
+// template, so its .ts files replace the .js ones while the layers of
+// --template still override both
+export async function addTypescriptLayer(layers, cwd) {
+  if (usesTypescript(layers)) return layers;
+  const base = layers.findIndex(layer => layer.dir === DEFAULT_TEMPLATE_DIR);
+  if (base === -1) throw new Error('--typescript needs a template that extends the default template');
+  const typescriptLayer = (await loadTemplateChain(TYPESCRIPT_TEMPLATE_DIR, cwd)).at(-1);
+  return [...layers.slice(0, base + 1), typescriptLayer, ...layers.slice(base + 1)];
+}
+
+// True when the chain contains the typescript layer, added by --typescript
+// or extended directly by a template
+export function usesTypescript(layers) {
+  return layers.some(layer => layer.dir === TYPESCRIPT_TEMPLATE_DIR);
+}
+
+// Compare an output path with a "remove" entry: an exact path, or a
+// pattern where * matches within one folder and **/ any number of folders
+function matchesPath(pattern, filePath) {
+  if (!pattern.includes('*')) return pattern === filePath;
+  const source = pattern
+    .split(/(\*\*\/|\*)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(filePath);
+}
+
+// Collect template variables: manifest defaults, then prompt answers (or
+// values given in the config file's "variables"), on top of the built-in data
+export async function resolveTemplateVariables(layers, data, options) {
+  const provided = options.variables || {};
+  const result = { ...data };
+
+  for (const layer of layers) {
+    Object.assign(result, layer.manifest.variables);
+
+    for (const prompt of layer.manifest.prompts || []) {
+      if (!prompt.name) throw new Error(`Template ${layer.name} has a prompt without a name`);
+
+      if (prompt.name in provided) {
+        result[prompt.name] = provided[prompt.name];
+        continue;
+      }
+      if (!canPrompt(options)) {
+        if (prompt.default === undefined) {
+          throw new Error(`Template variable "${prompt.name}" needs a value: add it to "variables" in your config file`);
+        }
+        result[prompt.name] = prompt.default;
+        continue;
+      }
+
+      const message = prompt.message || prompt.name;
+      if (prompt.type === 'confirm') {
+        const hint = prompt.default === false ? 'y/N' : 'Y/n';
+        const answer = (await ask(`❓ ${message} (${hint}): `)).toLowerCase();
+        result[prompt.name] = answer ? answer.startsWith('y') : prompt.default !== false;
+      } else {
+        const hint = prompt.default === undefined ? '' : ` (default: ${prompt.default})`;
+        let answer = '';
+        while (!answer) {
+          answer = (await ask(`❓ ${message}${hint}: `)) || (prompt.default === undefined ? '' : String(prompt.default));
+        }
+        result[prompt.name] = answer;
+      }
+    }
+  }
+
+  Object.assign(result, provided);
+  return result;
+}
+
+// Render all layers. Files of later layers replace files with the same
+// output path, and "remove" drops files produced by earlier layers.
+// "optional" files (a trailing "/" matches a whole folder) are dropped when
+// their variable is falsy, e.g. the security middleware with --no-security.
+export async function renderTemplateChain(layers, data) {
+  const files = new Map();
+  for (const layer of layers) {
+    for (const removed of layer.manifest.remove || []) {
+      const pattern = render(removed, data, `${layer.name} remove`);
+      for (const filePath of files.keys()) {
+        if (matchesPath(pattern, filePath)) files.delete(filePath);
+      }
+    }
+    for (const file of await renderTemplateDir(layer.filesDir, data)) {
+      files.set(file.path, file);
+    }
+  }
+
+  for (const layer of layers) {
+    for (const [variable, paths] of Object.entries(layer.manifest.optional || {})) {
+      if (data[variable]) continue;
+      for (const filePath of files.keys()) {
+        if (paths.some(entry => (entry.endsWith('/') ? filePath.startsWith(entry) : filePath === entry))) {
+          files.delete(filePath);
+        }
+      }
+    }
+  }
+  return [...files.values()];
+}
+
+// Dependencies declared by all layers, without duplicates. An entry may
+// also be { "name": "swagger-ui-dist", "when": "docs" }: only installed when
+// that variable is truthy, like the "optional" files.
+export function collectDependencies(layers, data = {}) {
+  const unique = (key) => [...new Set(layers
+    .flatMap(layer => layer.manifest[key] || [])
+    .filter(entry => typeof entry === 'string' || !entry.when || data[entry.when])
+    .map(entry => (typeof entry === 'string' ? entry : entry.name)))];
+  return {
+    dependencies: unique('dependencies'),
+    devDependencies: unique('devDependencies')
+  };
+}
+
+// Commands registered for a hook, rendered with the template data
+export function collectHooks(layers, hook, data) {
+  return layers.flatMap(layer =>
+    ((layer.manifest.hooks && layer.manifest.hooks[hook]) || [])
+      .map(command => render(command, data, `${layer.name} ${hook} hook`))
+  );
+}
+
+// Run hook commands in the project folder. A failing hook is reported but
+// does not undo the generated project.
+export function runHooks(commands, cwd) {
+  for (const command of commands) {
+    log(`🪝 Running hook: ${command}`, 'cyan');
+    try {
+      execSync(command, { cwd, stdio: 'inherit' });
+    } catch (error) {
+      log(`⚠️ Hook failed: ${command}`, 'yellow');
+    }
+  }
+}
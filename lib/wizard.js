@@ -0,0 +1,79 @@
+import { ask, choose } from './prompt.js';
+import { log } from './log.js';
+import { DEFAULT_NAME, CONFIG_FILES } from './options.js';
+import { PACKAGE_MANAGERS } from './packages.js';
+
+// Features the wizard offers, in the order shown. Each one is a boolean
+// option (--no-items, --docker...) and a template variable of the same name.
+export const FEATURES = [
+  { value: 'items', label: 'Sample Item resource', hint: 'CRUD routes owned by each user' },
+  { value: 'security', label: 'Security middleware', hint: 'headers, rate limits, sanitization, CORS allowlist' },
+  { value: 'tests', label: 'Tests', hint: 'node:test with an in-memory MongoDB' },
+  { value: 'docker', label: 'Docker', hint: 'Dockerfile and docker-compose.yml' },
+  { value: 'requestLogging', label: 'Request logging', hint: 'one log entry per request' },
+  { value: 'docs', label: 'API docs', hint: 'OpenAPI document and Swagger UI' }
+];
+
+// Authentication strategies, one per value of --auth
+export const AUTH_CHOICES = [
+  { value: 'jwt-refresh', label: 'JWT with refresh tokens', hint: 'short-lived access tokens, rotating refresh token cookie, logout' },
+  { value: 'jwt', label: 'JWT access tokens only', hint: 'one stateless token per login, no refresh or logout routes' }
+];
+
+const LANGUAGES = [
+  { value: false, label: 'JavaScript' },
+  { value: true, label: 'TypeScript', hint: 'strict tsconfig, tsx in development, compiled to dist/' }
+];
+
+// Prompt user for folder name
+export async function getUserFolder(defaultName = DEFAULT_NAME) {
+  const answer = await ask(`📁 Enter folder name for your project (default: ${defaultName}): `);
+  return answer || defaultName;
+}
+
+// The summary shown before anything is generated
+export function formatSummary(options) {
+  const rows = [
+    ['Folder', `${options.name}/`],
+    ['Language', options.typescript ? 'TypeScript' : 'JavaScript'],
+    ['Authentication', AUTH_CHOICES.find(choice => choice.value === options.auth).label],
+    ['Package manager', options.pm],
+    ['Features', FEATURES.filter(feature => options[feature.value]).map(feature => feature.label).join(', ') || 'none'],
+    ['Left out', FEATURES.filter(feature => !options[feature.value]).map(feature => feature.label).join(', ') || 'nothing']
+  ];
+  return [
+    '📋 Summary',
+    ...rows.map(([label, value]) => `   ${label.padEnd(17)}${value}`),
+    `   The choices are saved to ${options.name}/${CONFIG_FILES[0]}.`
+  ];
+}
+
+// Walk through the folder name, language, authentication, features and
+// package manager, then confirm a summary. Flags and config file values are
+// the preselected answers; a folder given on the command line is not asked
+// again. Resolves with the options to generate with, or null when the user
+// backs out.
+export async function runWizard(options) {
+  log('🧙 Set up a new MERN backend (Ctrl+C to cancel)', 'cyan');
+  try {
+    const name = options.name || (await getUserFolder());
+    const typescript = await choose('Language', LANGUAGES, { initial: options.typescript });
+    const auth = await choose('Authentication', AUTH_CHOICES, { initial: options.auth });
+    const features = await choose('Features', FEATURES, {
+      multiple: true,
+      initial: FEATURES.filter(feature => options[feature.value]).map(feature => feature.value)
+    });
+    const pm = await choose('Package manager', PACKAGE_MANAGERS.map(value => ({ value, label: value })), { initial: options.pm });
+
+    const answers = { ...options, name, typescript, auth, pm };
+    FEATURES.forEach(feature => { answers[feature.value] = features.includes(feature.value); });
+
+    console.log('');
+    formatSummary(answers).forEach(line => log(line, 'cyan'));
+    const confirmed = (await ask('\n🚀 Generate the project? (Y/n): ')).toLowerCase();
+    return !confirmed || confirmed.startsWith('y') ? answers : null;
+  } catch (error) {
+    if (error.cancelled) return null;
+    throw error;
+  }
+}
@@ -0,0 +1,113 @@
+import config from './config/env.js';
+import express from 'express';
+{{#unless security}}
+import cors from 'cors';
+{{/unless}}
+{{#if refreshTokens}}
+import cookieParser from 'cookie-parser';
+{{/if}}
+{{#if security}}
+import security from './middlewares/security.js';
+{{/if}}
+import requestId from './middlewares/requestId.js';
+{{#if requestLogging}}
+import requestLogger from './middlewares/requestLogger.js';
+{{/if}}
+import notFound from './middlewares/notFound.js';
+import errorHandler from './middlewares/errorHandler.js';
+
+// Route files
+import health from './routes/health.js';
+{{#if docs}}
+import docs from './routes/docs.js';
+{{/if}}
+import auth from './routes/auth.js';
+{{#if items}}
+import items from './routes/items.js';
+{{/if}}
+import users from './routes/users.js';
+
+// Build the Express app: middleware, routes and error handling, without a
+// database connection or a listening port. server.js starts it{{#if tests}}; tests
+// create their own instance (see tests/helpers.js){{/if}}.
+const createApp = () => {
+  const app = express();
+
+  // Request ID and per-request logger (req.log)
+  app.use(requestId());
+
+  // Health probes come before rate limiting, which could otherwise make an
+  // orchestrator think the server is down, and are not logged per request
+  app.use('/health', health);
+
+{{#if requestLogging}}
+  // One log entry per request
+  app.use(requestLogger());
+
+{{/if}}
+  // Body parser
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: false }));
+
+{{#if refreshTokens}}
+  // Cookie parser (refresh tokens)
+  app.use(cookieParser());
+
+{{/if}}
+{{#if security}}
+  // Security headers, CORS allowlist, rate limiting, NoSQL sanitization and
+  // HTTP parameter pollution protection (see middlewares/security.js)
+  app.use(security({
+    origins: config.security.corsOrigins,
+    hsts: config.isProduction,
+    rateLimit: config.security.rateLimit
+  }));
+{{else}}
+  // Enable CORS
+  app.use(cors({
+    origin: config.clientUrl,
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
+  }));
+{{/if}}
+
+  // Mount routers
+{{#if docs}}
+  app.use('/api/docs', docs);
+{{/if}}
+  app.use('/api/auth', auth);
+{{#if items}}
+  app.use('/api/items', items);
+{{/if}}
+  app.use('/api/users', users);
+
+  // Root route
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Welcome to MERN Backend API 🚀',
+      version: '1.0.0',
+      endpoints: {
+        auth: '/api/auth',
+{{#if items}}
+        items: '/api/items',
+{{/if}}
+        health: '/health',
+        liveness: '/health/live',
+        readiness: '/health/ready'
+{{#if docs}}
+      },
+      documentation: '/api/docs'
+{{else}}
+      }
+{{/if}}
+    });
+  });
+
+  // Unknown routes, then every error, answer with problem details
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+export default createApp;
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+import config from './env.js';
+import logger from '../utils/logger.js';
+
+// Connect to MongoDB. Throws when the server cannot be reached, so the
+// caller decides whether to retry or exit.
+const connectDB = async () => {
+  const conn = await mongoose.connect(config.mongoUri);
+  logger.info('MongoDB connected', { host: conn.connection.host, db: conn.connection.name });
+  return conn;
+};
+
+export default connectDB;
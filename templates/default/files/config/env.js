@@ -0,0 +1,173 @@
+import dotenv from 'dotenv';
+
+// Load .env before anything reads the configuration
+dotenv.config();
+
+const PLACEHOLDER_SECRETS = ['change-me-to-a-long-random-secret', 'supersecretkey123456789'];
+
+// Every environment variable the app reads. Each entry declares its type,
+// an optional default, and whether it must be set (always or in production).
+const schema = {
+  NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+  PORT: { type: 'port', default: {{port}} },
+  SHUTDOWN_TIMEOUT_SECONDS: { type: 'integer', default: 10 },
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'] },
+  MONGO_URI: { type: 'string', required: true },
+  JWT_SECRET: { type: 'secret', required: true },
+{{#if refreshTokens}}
+  JWT_ACCESS_EXPIRE: { type: 'string', default: '15m' },
+  REFRESH_TOKEN_EXPIRE_DAYS: { type: 'integer', default: 30 },
+{{else}}
+  JWT_ACCESS_EXPIRE: { type: 'string', default: '1d' },
+{{/if}}
+  CLIENT_URL: { type: 'url', default: '{{clientUrl}}', requiredInProduction: true },
+  APP_URL: { type: 'url', default: 'http://localhost:{{port}}', requiredInProduction: true },
+  MAIL_TRANSPORT: { type: 'enum', values: ['console', 'file', 'smtp'], default: 'console', requiredInProduction: true },
+  MAIL_FROM: { type: 'string', default: 'no-reply@example.com' },
+  MAIL_DIR: { type: 'string', default: 'tmp/mail' },
+  SMTP_HOST: { type: 'string' },
+  SMTP_PORT: { type: 'port', default: 587 },
+  SMTP_USER: { type: 'string' },
+  SMTP_PASS: { type: 'string' }{{#if security}},
+  CORS_ORIGINS: { type: 'urlList' },
+  RATE_LIMIT_WINDOW_MINUTES: { type: 'integer', default: 15 },
+  RATE_LIMIT_MAX: { type: 'integer', default: 100 },
+  AUTH_RATE_LIMIT_MAX: { type: 'integer', default: 10 }{{/if}}
+};
+
+const parsers = {
+  string: (value) => value,
+  enum: (value, rule) => {
+    if (!rule.values.includes(value)) throw new Error(`must be one of ${rule.values.join(', ')}`);
+    return value;
+  },
+  integer: (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error('must be a positive integer');
+    return number;
+  },
+  port: (value) => {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('must be a port number (1-65535)');
+    return port;
+  },
+  url: (value) => {
+    try {
+      return new URL(value).origin;
+    } catch (error) {
+      throw new Error('must be a valid URL');
+    }
+  },
+  urlList: (value) => value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    try {
+      return new URL(item).origin;
+    } catch (error) {
+      throw new Error(`must be a comma-separated list of URLs ("${item}" is not a URL)`);
+    }
+  }),
+  secret: (value, rule, nodeEnv) => {
+    if (nodeEnv === 'production' && (PLACEHOLDER_SECRETS.includes(value) || value.length < 32)) {
+      throw new Error('must be a random value of at least 32 characters in production');
+    }
+    return value;
+  }
+};
+
+// Parse and validate the environment. Collects every problem before
+// failing, so a single run reports all invalid variables.
+export const loadConfig = (env = process.env) => {
+  const values = {};
+  const errors = [];
+  const nodeEnv = env.NODE_ENV || schema.NODE_ENV.default;
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const raw = env[key] === undefined || env[key] === '' ? undefined : env[key];
+
+    if (raw === undefined) {
+      if (rule.required || (rule.requiredInProduction && nodeEnv === 'production')) {
+        errors.push(`${key} is required`);
+      } else {
+        values[key] = rule.default;
+      }
+      continue;
+    }
+
+    try {
+      values[key] = parsers[rule.type](raw, rule, nodeEnv);
+    } catch (error) {
+      errors.push(`${key} ${error.message}`);
+    }
+  }
+
+  if (values.MAIL_TRANSPORT === 'smtp' && !values.SMTP_HOST) {
+    errors.push('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+  }
+  // The console transport logs password reset and verification links
+  // instead of sending them
+  if (values.MAIL_TRANSPORT === 'console' && nodeEnv === 'production') {
+    errors.push('MAIL_TRANSPORT=console only logs emails, use file or smtp in production');
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid environment configuration:\n${errors.map(line => `  - ${line}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return Object.freeze({
+    env: values.NODE_ENV,
+    isProduction: values.NODE_ENV === 'production',
+    isDevelopment: values.NODE_ENV === 'development',
+    isTest: values.NODE_ENV === 'test',
+    port: values.PORT,
+    shutdownTimeoutMs: values.SHUTDOWN_TIMEOUT_SECONDS * 1000,
+    log: Object.freeze({
+      // Defaults: debug in development, warn in tests, info in production
+      level: values.LOG_LEVEL || { development: 'debug', test: 'warn' }[values.NODE_ENV] || 'info',
+      // JSON lines in production for log collectors, readable lines elsewhere
+      format: values.LOG_FORMAT || (values.NODE_ENV === 'production' ? 'json' : 'pretty')
+    }),
+    mongoUri: values.MONGO_URI,
+    jwt: Object.freeze({
+      secret: values.JWT_SECRET,
+      accessExpire: values.JWT_ACCESS_EXPIRE{{#if refreshTokens}},
+      refreshExpireDays: values.REFRESH_TOKEN_EXPIRE_DAYS{{/if}}
+    }),
+    clientUrl: values.CLIENT_URL,
+    appUrl: values.APP_URL,
+    mail: Object.freeze({
+      transport: values.MAIL_TRANSPORT,
+      from: values.MAIL_FROM,
+      dir: values.MAIL_DIR,
+      smtp: Object.freeze({
+        host: values.SMTP_HOST,
+        port: values.SMTP_PORT,
+        user: values.SMTP_USER,
+        pass: values.SMTP_PASS
+      })
+    }){{#if security}},
+    security: Object.freeze({
+      // Browser origins allowed by CORS; CLIENT_URL unless CORS_ORIGINS is set
+      corsOrigins: Object.freeze(values.CORS_ORIGINS || [values.CLIENT_URL].filter(Boolean)),
+      rateLimit: Object.freeze({
+        windowMs: values.RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+        max: values.RATE_LIMIT_MAX
+      }),
+      authRateLimit: Object.freeze({
+        windowMs: values.RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+        max: values.AUTH_RATE_LIMIT_MAX
+      })
+    }){{/if}}
+  });
+};
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+export default config;
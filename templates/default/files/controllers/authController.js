@@ -0,0 +1,330 @@
+import User from '../models/User.js';
+{{#if refreshTokens}}
+import RefreshToken from '../models/RefreshToken.js';
+{{/if}}
+import config from '../config/env.js';
+import { generateToken } from '../utils/generateToken.js';
+{{#if refreshTokens}}
+import { REFRESH_COOKIE, issueRefreshToken, clearRefreshCookie } from '../utils/refreshToken.js';
+{{/if}}
+import { sendMail } from '../utils/mailer.js';
+import { recordAudit } from '../utils/audit.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+import { ApiError, BadRequestError, UnauthorizedError, ForbiddenError, ConflictError } from '../utils/ApiError.js';
+
+{{#if refreshTokens}}
+// Respond with the user and a fresh access token, and start a new refresh
+// token family in the httpOnly cookie
+{{else}}
+// Respond with the user and a fresh access token
+{{/if}}
+const sendAuthResponse = async (req, res, user, statusCode) => {
+{{#if refreshTokens}}
+  await issueRefreshToken(req, res, user._id);
+{{/if}}
+  res.status(statusCode).json({
+    success: true,
+    data: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      token: generateToken(user._id)
+    }
+  });
+};
+
+// Email a fresh verification link. A failed delivery is logged but does not
+// fail the request, so registration still works when the mailer is down.
+const sendVerificationEmail = async (req, user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n\n` +
+        `${config.appUrl}/api/auth/verify-email/${token}\n\nThe link expires in 24 hours.`
+    });
+  } catch (error) {
+    req.log.error('Could not send verification email', { userId: String(user._id), err: error });
+  }
+};
+
+// @desc    Register user
+// @route   POST /api/auth/register
+// @access  Public
+export const register = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+
+  // Check if user exists
+  const userExists = await User.findOne({ email });
+  if (userExists) {
+    throw new ConflictError('User already exists');
+  }
+
+  // Create user
+  const user = await User.create({
+    name,
+    email,
+    password
+  });
+
+  req.log.info('User registered', { userId: String(user._id) });
+  await sendVerificationEmail(req, user);
+  await sendAuthResponse(req, res, user, 201);
+});
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+export const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Check for user
+  const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockUntil');
+
+  // A locked account is refused before the password is even checked
+  if (user && user.isLocked) {
+    await recordAudit(req, 'login.locked', { user });
+    const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    throw new ApiError(423, `Account locked after too many failed login attempts, try again in ${Math.ceil(retryAfter / 60)} minute(s)`);
+  }
+
+  if (!user || !(await user.comparePassword(password))) {
+    if (user) await user.registerFailedLogin();
+    await recordAudit(req, 'login.failure', {
+      user,
+      email,
+      reason: user ? 'wrong password' : 'unknown email'
+    });
+    throw new UnauthorizedError('Invalid credentials');
+  }
+
+  if (!user.isActive) {
+    await recordAudit(req, 'login.failure', { user, reason: 'account deactivated' });
+    throw new ForbiddenError('Account is deactivated');
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+  await recordAudit(req, 'login.success', { user });
+  await sendAuthResponse(req, res, user, 200);
+});
+
+{{#if refreshTokens}}
+// @desc    Rotate the refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+export const refresh = asyncHandler(async (req, res) => {
+  const token = req.cookies[REFRESH_COOKIE];
+  if (!token) {
+    throw new UnauthorizedError('No refresh token');
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(token) });
+
+  // A revoked token being presented again means it was stolen or replayed:
+  // revoke the whole family so neither party can keep using it
+  if (stored && stored.revokedAt) {
+    req.log.warn('Refresh token reuse detected', { userId: String(stored.user), family: stored.family });
+    await RefreshToken.revokeFamily(stored.family);
+    clearRefreshCookie(res);
+    throw new UnauthorizedError('Refresh token reuse detected, please log in again');
+  }
+
+  const user = stored && stored.isActive ? await User.findById(stored.user) : null;
+  if (!user || !user.isActive) {
+    clearRefreshCookie(res);
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const replacement = await issueRefreshToken(req, res, user._id, stored.family);
+  stored.revokedAt = new Date();
+  stored.replacedByHash = replacement.tokenHash;
+  await stored.save();
+
+  res.json({
+    success: true,
+    data: {
+      token: generateToken(user._id)
+    }
+  });
+});
+
+// @desc    Log out: revoke the refresh token and clear its cookie
+// @route   POST /api/auth/logout
+// @access  Public (refresh token cookie)
+export const logout = asyncHandler(async (req, res) => {
+  const token = req.cookies[REFRESH_COOKIE];
+  if (token) {
+    await RefreshToken.updateOne(
+      { tokenHash: RefreshToken.hashToken(token), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+  clearRefreshCookie(res);
+
+  res.json({
+    success: true,
+    data: {}
+  });
+});
+
+{{/if}}
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+  // Same answer whether or not the email exists, so accounts can't be probed
+  const response = {
+    success: true,
+    message: 'If that email is registered, a password reset link has been sent'
+  };
+
+  const user = await User.findOne({ email: req.body.email });
+  if (!user) {
+    return res.json(response);
+  }
+
+  const token = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Password reset',
+      text: `Hi ${user.name},\n\nYou (or someone else) asked to reset your password. Open this link to choose a new one:\n\n` +
+        `${config.clientUrl}/reset-password/${token}\n\nThe link expires in 10 minutes. If you did not ask for it, ignore this email.`
+    });
+  } catch (error) {
+    req.log.error('Could not send password reset email', { userId: String(user._id), err: error });
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw new ApiError(500, 'Email could not be sent');
+  }
+
+  res.json(response);
+});
+
+// @desc    Reset password with a token from the reset email
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(req.params.token),
+    resetPasswordExpire: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired reset token');
+  }
+
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Proving access to the mailbox lifts a lockout
+  await user.resetLoginAttempts();
+  req.log.info('Password reset', { userId: String(user._id) });
+
+{{#if refreshTokens}}
+  // Sign out every other session: the old password may have leaked
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+{{/if}}
+  await sendAuthResponse(req, res, user, 200);
+});
+
+// @desc    Verify email address with a token from the verification email
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(req.params.token),
+    emailVerificationExpire: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired verification token');
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Email verified'
+  });
+});
+
+// @desc    Get current logged in user
+// @route   GET /api/auth/me
+// @access  Private
+export const getMe = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Update own profile (name, email)
+// @route   PUT /api/auth/me
+// @access  Private
+export const updateMe = asyncHandler(async (req, res) => {
+  const { name, email } = req.body;
+  const user = await User.findById(req.user.id);
+
+  const emailChanged = email !== undefined && email !== user.email;
+
+  if (emailChanged && (await User.exists({ email }))) {
+    throw new ConflictError('Email already in use');
+  }
+
+  if (name !== undefined) user.name = name;
+  if (emailChanged) {
+    // A new address has to be verified again
+    user.email = email;
+    user.isEmailVerified = false;
+  }
+  await user.save();
+
+  if (emailChanged) {
+    await sendVerificationEmail(req, user);
+  }
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Change own password
+// @route   PUT /api/auth/password
+// @access  Private
+export const updatePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+    throw new UnauthorizedError('Current password is incorrect');
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+{{#if refreshTokens}}
+  // End every other session, then log this one in again
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+{{/if}}
+  await sendAuthResponse(req, res, user, 200);
+});
@@ -0,0 +1,168 @@
+import User from '../models/User.js';
+{{#if items}}
+import Item from '../models/Item.js';
+{{/if}}
+{{#if refreshTokens}}
+import RefreshToken from '../models/RefreshToken.js';
+{{/if}}
+import asyncHandler from '../middlewares/asyncHandler.js';
+import { recordAudit } from '../utils/audit.js';
+import { BadRequestError, NotFoundError } from '../utils/ApiError.js';
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Admins may not lock themselves out by demoting, deactivating or
+// deleting their own account
+const isSelf = (req) => req.params.id === req.user.id;
+
+// @desc    Get all users (paginated, filtered and sorted by advancedResults)
+// @route   GET /api/users
+// @access  Private/Admin
+export const getUsers = asyncHandler(async (req, res) => {
+  res.json(res.advancedResults);
+});
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private/Admin
+export const getUser = asyncHandler(async (req, res) => {
+  // Include the lockout state so admins can see why a login is refused
+  const user = await User.findById(req.params.id).select('+failedLoginAttempts +lockUntil');
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    throw new BadRequestError(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (isSelf(req)) {
+    throw new BadRequestError('You cannot change your own role');
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, { role }, {
+    returnDocument: 'after',
+    runValidators: true
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  req.log.info('User role changed', { userId: String(user._id), role, by: req.user.id });
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Deactivate a user and end all their sessions
+// @route   PUT /api/users/:id/deactivate
+// @access  Private/Admin
+export const deactivateUser = asyncHandler(async (req, res) => {
+  if (isSelf(req)) {
+    throw new BadRequestError('You cannot deactivate your own account');
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, { isActive: false }, { returnDocument: 'after' });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+{{#if refreshTokens}}
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+{{/if}}
+  req.log.info('User deactivated', { userId: String(user._id), by: req.user.id });
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Reactivate a deactivated user
+// @route   PUT /api/users/:id/activate
+// @access  Private/Admin
+export const activateUser = asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(req.params.id, { isActive: true }, { returnDocument: 'after' });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  req.log.info('User activated', { userId: String(user._id), by: req.user.id });
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Unlock an account locked after too many failed logins
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  await user.resetLoginAttempts();
+  await recordAudit(req, 'account.unlocked', { user });
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Get the audit log of a user (logins, lockouts, unlocks)
+// @route   GET /api/users/:id/audit
+// @access  Private/Admin
+export const getUserAudit = asyncHandler(async (req, res) => {
+  res.json(res.advancedResults);
+});
+
+// @desc    Delete a user with their {{#if items}}items and {{/if}}sessions
+// @route   DELETE /api/users/:id
+// @access  Private/Admin
+export const deleteUser = asyncHandler(async (req, res) => {
+  if (isSelf(req)) {
+    throw new BadRequestError('You cannot delete your own account');
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+{{#if items}}
+  await Item.deleteMany({ user: user._id });
+{{/if}}
+{{#if refreshTokens}}
+  await RefreshToken.deleteMany({ user: user._id });
+{{/if}}
+  await user.deleteOne();
+  req.log.info('User deleted', { userId: String(user._id), by: req.user.id });
+
+  res.json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,17 @@
+{{#if items}}
+import Item from '../models/Item.js';
+import { itemRules } from '../validators/itemValidators.js';
+{{/if}}
+
+// CRUD resources described in the OpenAPI document (see docs/openapi.js):
+// the model, where its router is mounted, its request body rules and the
+// tag grouping its routes. `mern-server-setup add resource` adds new ones.
+{{#if items}}
+const resources = [
+  { model: Item, path: '/api/items', rules: itemRules, tag: 'Items' }
+];
+{{else}}
+const resources = [];
+{{/if}}
+
+export default resources;
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import asyncHandler from './asyncHandler.js';
+
+const RESERVED_PARAMS = ['page', 'limit', 'sort', 'select', 'search'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'ne', 'in', 'nin'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Convert a query string value to the type of the schema path.
+// Returns undefined for values that cannot be converted.
+const castValue = (schemaType, value) => {
+  switch (schemaType.instance) {
+    case 'Number': {
+      const number = Number(value);
+      return value === '' || Number.isNaN(number) ? undefined : number;
+    }
+    case 'Date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'ObjectId':
+      return mongoose.isValidObjectId(value) ? String(value) : undefined;
+    case 'Boolean':
+      return value === 'true';
+    default:
+      return String(value);
+  }
+};
+
+// Fields hidden with `select: false` (password, reset tokens...) never
+// leave the database, so clients may not select, sort or filter by them
+const isHidden = (model, field) => {
+  const schemaType = model.schema.path(field);
+  return Boolean(schemaType) && schemaType.options.select === false;
+};
+
+// Turn query params into a MongoDB filter. Accepts both `price[gte]=10`
+// as a flat key and as an object parsed by qs. Only schema fields and the
+// whitelisted operators are used, so clients cannot inject $where & co.
+// or probe hidden fields.
+export const buildFilter = (model, query) => {
+  const filter = {};
+
+  const addCondition = (field, operator, value) => {
+    const schemaType = model.schema.path(field);
+    if (!schemaType || isHidden(model, field) || Array.isArray(value) || (value !== null && typeof value === 'object')) return;
+
+    if (!operator) {
+      const cast = castValue(schemaType, value);
+      if (cast !== undefined) filter[field] = cast;
+    } else if (OPERATORS.includes(operator)) {
+      const condition = operator === 'in' || operator === 'nin'
+        ? String(value).split(',').map(item => castValue(schemaType, item)).filter(item => item !== undefined)
+        : castValue(schemaType, value);
+      if (condition !== undefined) filter[field] = { ...filter[field], [`$${operator}`]: condition };
+    }
+  };
+
+  for (const [key, value] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+
+    const bracket = key.match(/^(\w+)\[(\w+)\]$/);
+    if (bracket) {
+      addCondition(bracket[1], bracket[2], value);
+    } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([operator, operand]) => addCondition(key, operator, operand));
+    } else {
+      addCondition(key, null, value);
+    }
+  }
+
+  return filter;
+};
+
+// Field list of ?select= or ?sort=, without hidden fields. Select entries
+// with a + or - prefix are dropped: "+password" would override
+// `select: false`. In ?sort= a leading - means descending.
+const toFieldList = (model, value, { sort = false } = {}) => String(value)
+  .split(',')
+  .map(field => field.trim())
+  .filter(field => field && (sort || !/^[+-]/.test(field)) && !isHidden(model, field.replace(/^[+-]/, '')))
+  .join(' ');
+
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Link to another page of the same request, keeping every other param
+const pageLink = (req, page, limit) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.set('page', page);
+  url.searchParams.set('limit', limit);
+  return `${url.pathname}${url.search}`;
+};
+
+// Reusable list middleware: pagination (?page=&limit=), sorting
+// (?sort=-price,name), field selection (?select=name,price), filters
+// (?category=books, ?price[gte]=10) and search (?search=laptop).
+// The response envelope is stored on res.advancedResults for the handler.
+//
+// Options:
+//   scope(req)     extra filter always applied, e.g. the owner of the data
+//   populate       passed to Query#populate
+//   searchFields   string fields matched case-insensitively by ?search=
+const advancedResults = (model, { scope, populate, searchFields = [] } = {}) => asyncHandler(async (req, res, next) => {
+  const filter = { ...buildFilter(model, req.query), ...(scope ? scope(req) : {}) };
+
+  if (req.query.search && searchFields.length > 0) {
+    const pattern = new RegExp(escapeRegex(String(req.query.search)), 'i');
+    filter.$or = searchFields.map(field => ({ [field]: pattern }));
+  }
+
+  const page = positiveInt(req.query.page, 1);
+  const limit = Math.min(positiveInt(req.query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+
+  let query = model.find(filter)
+    .sort((req.query.sort && toFieldList(model, req.query.sort, { sort: true })) || '-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const select = req.query.select ? toFieldList(model, req.query.select) : '';
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+
+  const [results, total] = await Promise.all([query, model.countDocuments(filter)]);
+  const pages = Math.ceil(total / limit);
+
+  const pagination = { total, page, limit, pages };
+  if (page < pages) pagination.next = { page: page + 1, limit, url: pageLink(req, page + 1, limit) };
+  if (page > 1) pagination.prev = { page: page - 1, limit, url: pageLink(req, page - 1, limit) };
+
+  res.advancedResults = {
+    success: true,
+    count: results.length,
+    pagination,
+    data: results
+  };
+  next();
+});
+
+export default advancedResults;
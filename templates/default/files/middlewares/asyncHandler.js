@@ -0,0 +1,4 @@
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+export default asyncHandler;
@@ -0,0 +1,42 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import config from '../config/env.js';
+import asyncHandler from './asyncHandler.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/ApiError.js';
+
+const protect = asyncHandler(async (req, res, next) => {
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    throw new UnauthorizedError('Not authorized to access this route');
+  }
+
+  // Invalid and expired tokens throw; errorHandler.js answers 401
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  // Only access tokens are accepted, and the user must still exist
+  req.user = decoded.type === 'access' ? await User.findById(decoded.id) : null;
+  if (!req.user) {
+    throw new UnauthorizedError('Not authorized to access this route');
+  }
+  if (!req.user.isActive) {
+    throw new UnauthorizedError('Account is deactivated');
+  }
+  next();
+});
+
+// Grant access to specific roles
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      throw new ForbiddenError(`User role ${req.user.role} is not authorized to access this route`);
+    }
+    next();
+  };
+};
+
+export { protect, authorize };
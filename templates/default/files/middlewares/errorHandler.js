@@ -0,0 +1,85 @@
+import { STATUS_CODES } from 'http';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+import { ApiError, NotFoundError, UnauthorizedError, ConflictError, ValidationError } from '../utils/ApiError.js';
+
+// Turn errors thrown by libraries into ApiErrors. Anything else is an
+// unexpected error and answered with 500.
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  // Mongoose bad ObjectId
+  if (err.name === 'CastError') return new NotFoundError('Resource not found');
+
+  // Mongoose duplicate key
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return new ConflictError(fields.length > 0 ? `Duplicate value for ${fields.join(', ')}` : 'Duplicate field value entered');
+  }
+
+  // Mongoose validation error
+  if (err.name === 'ValidationError') {
+    return new ValidationError(Object.values(err.errors).map(error => ({ field: error.path, message: error.message })));
+  }
+
+{{#if refreshTokens}}
+  // JWT errors: tell clients when to call POST /api/auth/refresh
+{{else}}
+  // JWT errors: tell clients when to log in again
+{{/if}}
+  if (err.name === 'TokenExpiredError') return new UnauthorizedError('Access token expired');
+  if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') return new UnauthorizedError();
+
+  // Client errors raised by Express itself, e.g. malformed JSON bodies
+  if (err.expose && err.status >= 400 && err.status < 500) return new ApiError(err.status, err.message);
+
+  return null;
+};
+
+// Answer every error with an RFC 7807 problem details body:
+//
+//   {
+//     "type": "about:blank",
+//     "title": "Not Found",
+//     "status": 404,
+//     "detail": "Item not found",
+//     "instance": "/api/items/65a1...",
+//     "success": false,
+//     "requestId": "5f0c..."
+//   }
+//
+// Validation errors add `errors: [{ field, message }]`. In development
+// the stack trace is included as `stack`.
+const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+  const status = apiError ? apiError.statusCode : 500;
+
+  // Unexpected errors are logged with their stack; expected ones (bad input,
+  // missing documents) only at debug level, the request log has the status
+  const log = req.log || logger;
+  if (status >= 500) {
+    log.error('Unhandled error', { err });
+  } else {
+    log.debug('Request failed', { status, error: err.message });
+  }
+
+  // Headers were already sent (e.g. a streamed response): let Express end it
+  if (res.headersSent) return next(err);
+
+  // The message of an unexpected error may reveal internals
+  const detail = apiError ? apiError.message : config.isDevelopment ? err.message : 'Something went wrong';
+
+  res.status(status).type('application/problem+json').json({
+    type: 'about:blank',
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    instance: req.originalUrl,
+    success: false,
+    ...(req.id ? { requestId: req.id } : {}),
+    ...(apiError && apiError.errors ? { errors: apiError.errors } : {}),
+    ...(config.isDevelopment ? { stack: err.stack } : {})
+  });
+};
+
+export default errorHandler;
@@ -0,0 +1,23 @@
+// HTTP parameter pollution: `?sort=name&sort=-price` arrives as an array,
+// which code expecting a string (or a MongoDB filter) may mishandle. Keep
+// only the last value of repeated query parameters, except for the ones
+// listed in `whitelist`. Call after sanitize(), which makes req.query
+// writable.
+const hpp = ({ whitelist = [] } = {}) => (req, res, next) => {
+  const query = { ...req.query };
+  for (const [key, value] of Object.entries(query)) {
+    if (Array.isArray(value) && !whitelist.includes(key)) {
+      query[key] = value[value.length - 1];
+    }
+  }
+
+  Object.defineProperty(req, 'query', {
+    value: query,
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+  next();
+};
+
+export default hpp;
@@ -0,0 +1,21 @@
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs from upstream proxies are reused only when they look like IDs, so a
+// client cannot inject arbitrary text into the logs
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID: the incoming X-Request-Id header (set by a load
+// balancer or the calling service) or a new UUID. The ID is echoed in the
+// response header, and req.log is a child logger that adds it to every entry.
+const requestId = () => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+export default requestId;
@@ -0,0 +1,32 @@
+// Strip keys that MongoDB would read as operators ("$gt", "$where", or
+// "email[$ne]" in an unparsed query string) or as paths into nested
+// documents ("profile.role") from user input, so
+// `{ "email": { "$gt": "" } }` cannot turn a lookup into a match-all query.
+const isUnsafeKey = (key) => key.startsWith('$') || key.includes('[$') || key.includes('.');
+
+export const sanitizeValue = (value) => {
+  if (Array.isArray(value)) return value.map(sanitizeValue);
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+
+  const clean = {};
+  for (const [key, nested] of Object.entries(value)) {
+    if (!isUnsafeKey(key)) clean[key] = sanitizeValue(nested);
+  }
+  return clean;
+};
+
+const sanitize = () => (req, res, next) => {
+  if (req.body) req.body = sanitizeValue(req.body);
+
+  // Express 5 re-parses req.query on every access, so replace the getter
+  // with the sanitized value
+  Object.defineProperty(req, 'query', {
+    value: sanitizeValue(req.query),
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+  next();
+};
+
+export default sanitize;
@@ -0,0 +1,25 @@
+import securityHeaders from './securityHeaders.js';
+import rateLimit from './rateLimit.js';
+import sanitize from './sanitize.js';
+import hpp from './hpp.js';
+import corsPolicy from './corsPolicy.js';
+
+// Stricter limiter for the endpoints credential stuffing goes after
+// (POST /api/auth/login and /api/auth/register), see routes/auth.js
+export const createAuthLimiter = ({ windowMs, max }) => rateLimit({
+  windowMs,
+  max,
+  message: 'Too many attempts, please try again later'
+});
+
+// The security bundle mounted by server.js before the routes, in order:
+// headers, CORS allowlist, global rate limit, NoSQL sanitization and HPP
+const security = ({ origins, hsts, rateLimit: limits }) => [
+  securityHeaders({ hsts }),
+  corsPolicy(origins),
+  rateLimit(limits),
+  sanitize(),
+  hpp()
+];
+
+export default security;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const itemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Please add quantity'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please add price'],
+    min: [0, 'Price cannot be negative']
+  },
+  category: {
+    type: String,
+    required: [true, 'Please add a category'],
+    enum: ['electronics', 'clothing', 'books', 'home', 'sports', 'other']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Item', itemSchema);
@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  register,
+  login,
+{{#if refreshTokens}}
+  refresh,
+  logout,
+{{/if}}
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  getMe,
+  updateMe,
+  updatePassword
+} from '../controllers/authController.js';
+import { protect } from '../middlewares/authMiddleware.js';
+{{#if security}}
+import { createAuthLimiter } from '../middlewares/security.js';
+import config from '../config/env.js';
+{{/if}}
+import validate from '../middlewares/validate.js';
+import {
+  registerRules,
+  loginRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  updateMeRules,
+  updatePasswordRules
+} from '../validators/authValidators.js';
+
+const router = express.Router();
+
+{{#if security}}
+// Stricter rate limit for the endpoints targeted by credential stuffing
+const authLimiter = createAuthLimiter(config.security.authRateLimit);
+
+router.post('/register', authLimiter, validate(registerRules), register);
+router.post('/login', authLimiter, validate(loginRules), login);
+{{else}}
+router.post('/register', validate(registerRules), register);
+router.post('/login', validate(loginRules), login);
+{{/if}}
+{{#if refreshTokens}}
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+{{/if}}
+router.post('/forgot-password', validate(forgotPasswordRules), forgotPassword);
+router.put('/reset-password/:token', validate(resetPasswordRules), resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.get('/me', protect, getMe);
+router.put('/me', protect, validate(updateMeRules, { partial: true }), updateMe);
+router.put('/password', protect, validate(updatePasswordRules), updatePassword);
+
+export default router;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import config from './config/env.js';
+import connectDB from './config/db.js';
+import logger from './utils/logger.js';
+import createApp from './app.js';
+
+const PORT = config.port;
+const app = createApp();
+
+// Connect to the database before accepting requests
+try {
+  await connectDB();
+} catch (error) {
+  logger.error('MongoDB connection failed', { err: error });
+  process.exit(1);
+}
+
+const server = app.listen(PORT, () => {
+  logger.info('Server listening', {
+    env: config.env,
+    port: PORT,
+    url: `http://localhost:${PORT}`,
+    health: `http://localhost:${PORT}/health`
+  });
+});
+
+// Graceful shutdown: report not ready, stop accepting connections, let
+// in-flight requests finish, then close the database connection. Exits
+// with an error when that takes longer than SHUTDOWN_TIMEOUT_SECONDS.
+let shuttingDown = false;
+const shutdown = async (reason, exitCode = 0) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  app.locals.shuttingDown = true;
+  logger.info('Shutting down gracefully', { reason });
+
+  const timer = setTimeout(() => {
+    logger.error('Shutdown timed out, forcing exit', { timeoutMs: config.shutdownTimeoutMs });
+    process.exit(1);
+  }, config.shutdownTimeoutMs);
+  timer.unref();
+
+  try {
+    // close() waits for open requests; idle keep-alive sockets are closed now
+    await new Promise((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()));
+      server.closeIdleConnections();
+    });
+    await mongoose.connection.close();
+    logger.info('Connections closed');
+    process.exit(exitCode);
+  } catch (error) {
+    logger.error('Shutdown failed', { err: error });
+    process.exit(1);
+  }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (err) => {
+  logger.error('Unhandled rejection', { err });
+  shutdown('Unhandled rejection', 1);
+});
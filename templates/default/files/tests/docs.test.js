@@ -0,0 +1,58 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import { setupTestApp } from './helpers.js';
+import { buildOpenApiSpec } from '../docs/openapi.js';
+
+describe('API docs', () => {
+  const ctx = setupTestApp();
+
+  test('the spec describes every router', () => {
+    const spec = buildOpenApiSpec();
+    assert.equal(spec.openapi, '3.0.3');
+    for (const path of ['/api/auth/register', '/api/auth/me', '/api/users/{id}', {{#if items}}'/api/items', '/api/items/{id}', {{/if}}'/health/ready']) {
+      assert.ok(spec.paths[path], `missing ${path}`);
+    }
+{{#if items}}
+    assert.ok(spec.paths['/api/items'].post.security);
+    assert.ok(spec.paths['/api/items/{id}'].delete.responses[404]);
+{{/if}}
+  });
+
+  test('schemas follow the models and validators', () => {
+    const spec = buildOpenApiSpec();
+    const { schemas } = spec.components;
+{{#if items}}
+    assert.equal(schemas.Item.properties.name.type, 'string');
+    assert.equal(schemas.Item.properties._id.type, 'string');
+{{/if}}
+    assert.equal(schemas.User.properties.password, undefined);
+{{#if items}}
+
+    const input = spec.paths['/api/items'].post.requestBody.content['application/json'].schema;
+    assert.ok(input.required.includes('name'));
+    assert.equal(spec.paths['/api/items/{id}'].put.requestBody.content['application/json'].schema.required, undefined);
+{{/if}}
+  });
+
+  test('serves the spec and the UI', async () => {
+    const spec = await ctx.request('GET', '/api/docs/openapi.json');
+    assert.equal(spec.status, 200);
+    assert.deepEqual(spec.body, JSON.parse(JSON.stringify(buildOpenApiSpec())));
+
+    const redirect = await fetch(`${ctx.baseUrl}/api/docs`, { redirect: 'manual' });
+    assert.equal(redirect.status, 301);
+    assert.equal(redirect.headers.get('location'), '/api/docs/');
+
+    const ui = await ctx.request('GET', '/api/docs/');
+    assert.equal(ui.status, 200);
+    assert.match(ui.body, /swagger-ui/);
+  });
+
+  test('openapi.json is up to date (npm run docs)', (t) => {
+    const file = new URL('../openapi.json', import.meta.url);
+    if (!existsSync(file)) return t.skip('openapi.json has not been generated');
+    const written = JSON.parse(readFileSync(file, 'utf-8'));
+    assert.deepEqual(written, JSON.parse(JSON.stringify(buildOpenApiSpec())));
+  });
+});
@@ -0,0 +1,82 @@
+import { before, after, beforeEach } from 'node:test';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// Test configuration, set before config/env.js is first imported. Values
+// from .env never override variables that are already set.
+process.env.NODE_ENV = 'test';
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/unused';
+process.env.JWT_SECRET = 'test-secret-that-is-long-enough-for-any-environment';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.RATE_LIMIT_MAX = '10000';
+process.env.AUTH_RATE_LIMIT_MAX = '10000';
+
+// Start an in-memory MongoDB and the app on a random port for the current
+// describe() block, and empty every collection before each test:
+//
+//   const ctx = setupTestApp();
+//   test('...', async () => {
+//     const res = await ctx.request('GET', '/api/auth/me', { token });
+//   });
+//
+// Emails are captured in ctx.mail instead of being printed, and ctx.app is
+// the Express app under test.
+export const setupTestApp = () => {
+  const ctx = { mail: [] };
+  let mongod;
+  let server;
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+
+    const { setTransport } = await import('../utils/mailer.js');
+    setTransport(async (message) => ctx.mail.push(message));
+
+    const { default: createApp } = await import('../app.js');
+    ctx.app = createApp();
+    server = await new Promise((resolve) => {
+      const listening = ctx.app.listen(0, () => resolve(listening));
+    });
+    ctx.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    ctx.mail.length = 0;
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  });
+
+  after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+  });
+
+  // Call the API. Returns { status, headers, body }, with JSON bodies parsed.
+  ctx.request = async (method, path, { token, body, headers = {} } = {}) => {
+    const res = await fetch(`${ctx.baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('json');
+    return { status: res.status, headers: res.headers, body: isJson && text ? JSON.parse(text) : text || null };
+  };
+
+  // Register a user and return { token, user }
+  ctx.registerUser = async (overrides = {}) => {
+    const res = await ctx.request('POST', '/api/auth/register', {
+      body: { name: 'Test User', email: 'test@example.com', password: 'password123', ...overrides }
+    });
+    if (res.status !== 201) throw new Error(`Registration failed: ${JSON.stringify(res.body)}`);
+    return { token: res.body.data.token, user: res.body.data };
+  };
+
+  return ctx;
+};
@@ -0,0 +1,103 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestApp } from './helpers.js';
+
+const laptop = { name: 'Laptop', description: 'Gaming laptop', quantity: 1, price: 1299.99, category: 'electronics' };
+
+describe('items', () => {
+  const ctx = setupTestApp();
+  let owner;
+  let other;
+
+  beforeEach(async () => {
+    owner = await ctx.registerUser({ email: 'owner@example.com' });
+    other = await ctx.registerUser({ email: 'other@example.com' });
+  });
+
+  const createItem = async (body = laptop, token = owner.token) => {
+    const res = await ctx.request('POST', '/api/items', { token, body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.data;
+  };
+
+  test('requires authentication', async () => {
+    const res = await ctx.request('GET', '/api/items');
+    assert.equal(res.status, 401);
+  });
+
+  test('creates an item owned by the caller, whatever user is sent', async () => {
+    const item = await createItem({ ...laptop, user: other.user._id });
+    assert.equal(item.name, 'Laptop');
+    assert.equal(item.user, owner.user._id);
+  });
+
+  test('answers 422 for an invalid item', async () => {
+    const res = await ctx.request('POST', '/api/items', {
+      token: owner.token,
+      body: { name: '', quantity: -1, category: 'cars' }
+    });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.errors.map(error => error.field), ['name', 'quantity', 'price', 'category']);
+  });
+
+  test('lists only the caller\'s items, paginated', async () => {
+    await createItem();
+    await createItem({ ...laptop, name: 'Mouse', price: 20 });
+    await createItem({ ...laptop, name: 'Not mine' }, other.token);
+
+    const res = await ctx.request('GET', '/api/items?sort=price&limit=1', { token: owner.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.pagination.total, 2);
+    assert.equal(res.body.data[0].name, 'Mouse');
+    assert.equal(res.body.pagination.next.page, 2);
+  });
+
+  test('filters by field and operator', async () => {
+    await createItem();
+    await createItem({ ...laptop, name: 'Book', price: 15, category: 'books' });
+
+    const res = await ctx.request('GET', '/api/items?price[lte]=100', { token: owner.token });
+    assert.deepEqual(res.body.data.map(item => item.name), ['Book']);
+  });
+
+  test('gets a single item', async () => {
+    const item = await createItem();
+    const res = await ctx.request('GET', `/api/items/${item._id}`, { token: owner.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data._id, item._id);
+  });
+
+  test('updates an item, keeping the owner', async () => {
+    const item = await createItem();
+    const res = await ctx.request('PUT', `/api/items/${item._id}`, {
+      token: owner.token,
+      body: { price: 999, user: other.user._id }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.price, 999);
+    assert.equal(res.body.data.name, 'Laptop');
+    assert.equal(res.body.data.user, owner.user._id);
+  });
+
+  test('deletes an item', async () => {
+    const item = await createItem();
+    const res = await ctx.request('DELETE', `/api/items/${item._id}`, { token: owner.token });
+    assert.equal(res.status, 200);
+
+    const after = await ctx.request('GET', `/api/items/${item._id}`, { token: owner.token });
+    assert.equal(after.status, 404);
+  });
+
+  test('hides other users\' items from get, update and delete', async () => {
+    const item = await createItem();
+    const path = `/api/items/${item._id}`;
+
+    assert.equal((await ctx.request('GET', path, { token: other.token })).status, 404);
+    assert.equal((await ctx.request('PUT', path, { token: other.token, body: { price: 1 } })).status, 404);
+    assert.equal((await ctx.request('DELETE', path, { token: other.token })).status, 404);
+
+    const unchanged = await ctx.request('GET', path, { token: owner.token });
+    assert.equal(unchanged.body.data.price, laptop.price);
+  });
+});
@@ -0,0 +1,99 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import './helpers.js'; // test environment, set before config/env.js loads
+import securityHeaders from '../middlewares/securityHeaders.js';
+import rateLimit from '../middlewares/rateLimit.js';
+import sanitize, { sanitizeValue } from '../middlewares/sanitize.js';
+import hpp from '../middlewares/hpp.js';
+import corsPolicy from '../middlewares/corsPolicy.js';
+import errorHandler from '../middlewares/errorHandler.js';
+
+// Start an app on a random free port
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, () => resolve(server));
+});
+
+const echo = (req, res) => res.json({ body: req.body ?? null, query: req.query });
+
+describe('security middleware', () => {
+  let server;
+  let baseUrl;
+  const limiter = rateLimit({ windowMs: 60 * 1000, max: 2 });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(securityHeaders({ hsts: true }));
+    app.use(corsPolicy(['http://allowed.example']));
+    app.use(sanitize());
+    app.use(hpp({ whitelist: ['tags'] }));
+    app.post('/echo', echo);
+    app.get('/echo', echo);
+    app.get('/limited', limiter, (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+
+    server = await listen(app);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  test('sets secure headers and hides X-Powered-By', async () => {
+    const res = await fetch(`${baseUrl}/echo`);
+    assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(res.headers.get('x-frame-options'), 'DENY');
+    assert.equal(res.headers.get('referrer-policy'), 'no-referrer');
+    assert.match(res.headers.get('content-security-policy'), /default-src 'none'/);
+    assert.match(res.headers.get('strict-transport-security'), /max-age=\d+/);
+    assert.equal(res.headers.get('x-powered-by'), null);
+  });
+
+  test('allows CORS only for allowlisted origins', async () => {
+    const allowed = await fetch(`${baseUrl}/echo`, { headers: { Origin: 'http://allowed.example' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://allowed.example');
+    assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+
+    const denied = await fetch(`${baseUrl}/echo`, { headers: { Origin: 'http://evil.example' } });
+    assert.equal(denied.headers.get('access-control-allow-origin'), null);
+  });
+
+  test('strips MongoDB operators from the body and query', async () => {
+    const res = await fetch(`${baseUrl}/echo?name[$ne]=x&page=2`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: { $gt: '' }, 'profile.role': 'admin', tags: [{ $where: '1' }, 'ok'], name: 'Ann' })
+    });
+    const { body, query } = await res.json();
+    assert.deepEqual(body, { email: {}, tags: [{}, 'ok'], name: 'Ann' });
+    assert.deepEqual(query, { page: '2' });
+  });
+
+  test('sanitizeValue keeps dates and plain values', () => {
+    const date = new Date();
+    assert.deepEqual(sanitizeValue({ at: date, n: 1, s: 'x', nested: { $in: [1] } }), { at: date, n: 1, s: 'x', nested: {} });
+  });
+
+  test('keeps the last value of repeated query parameters unless whitelisted', async () => {
+    const res = await fetch(`${baseUrl}/echo?sort=name&sort=-price&tags=a&tags=b`);
+    const { query } = await res.json();
+    assert.equal(query.sort, '-price');
+    assert.deepEqual(query.tags, ['a', 'b']);
+  });
+
+  test('rate limits with 429 and RateLimit headers', async () => {
+    limiter.reset();
+    const first = await fetch(`${baseUrl}/limited`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+
+    await fetch(`${baseUrl}/limited`);
+    const blocked = await fetch(`${baseUrl}/limited`);
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    const problem = await blocked.json();
+    assert.equal(problem.status, 429);
+    assert.equal(problem.success, false);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { setupTestApp } from './helpers.js';
+
+describe('user administration', () => {
+  const ctx = setupTestApp();
+  let admin;
+
+  beforeEach(async () => {
+    admin = await ctx.registerUser({ email: 'admin@example.com' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+  });
+
+  test('is for admins only', async () => {
+    const { token } = await ctx.registerUser({ email: 'user@example.com' });
+    const res = await ctx.request('GET', '/api/users', { token });
+    assert.equal(res.status, 403);
+  });
+
+  test('never returns hidden fields, even selected with +', async () => {
+    const res = await ctx.request('GET', '/api/users?select=%2Bpassword,%2BresetPasswordToken,name', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.data[0].name, 'Test User');
+    assert.equal(res.body.data[0].password, undefined);
+    assert.equal(res.body.data[0].resetPasswordToken, undefined);
+  });
+
+  test('ignores filters and sorting on hidden fields', async () => {
+    const res = await ctx.request('GET', '/api/users?password=guess&sort=password', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+  });
+});
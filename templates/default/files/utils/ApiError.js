@@ -0,0 +1,55 @@
+import { STATUS_CODES } from 'http';
+
+// Errors with an HTTP status. Throw them from controllers and middleware
+// (or pass them to next()); errorHandler.js turns them into a problem
+// details response:
+//
+//   if (!item) throw new NotFoundError('Item not found');
+//
+// Use ApiError directly for statuses without a subclass, e.g.
+// new ApiError(423, 'Account locked').
+export class ApiError extends Error {
+  constructor(statusCode, message = STATUS_CODES[statusCode]) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+export class BadRequestError extends ApiError {
+  constructor(message = 'Bad request') {
+    super(400, message);
+  }
+}
+
+export class UnauthorizedError extends ApiError {
+  constructor(message = 'Not authorized to access this route') {
+    super(401, message);
+  }
+}
+
+export class ForbiddenError extends ApiError {
+  constructor(message = 'Not allowed to access this route') {
+    super(403, message);
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found') {
+    super(404, message);
+  }
+}
+
+export class ConflictError extends ApiError {
+  constructor(message = 'Resource already exists') {
+    super(409, message);
+  }
+}
+
+// `errors` lists every invalid field: [{ field, message }]
+export class ValidationError extends ApiError {
+  constructor(errors = [], message = 'Validation failed') {
+    super(422, message);
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,19 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Record an audit entry for the request. Failing to write it is logged but
+// never fails the request itself.
+export const recordAudit = async (req, action, { user, email, reason } = {}) => {
+  try {
+    await AuditLog.create({
+      action,
+      user: user && user._id,
+      email: email || (user && user.email),
+      actor: req.user && req.user._id,
+      reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    req.log.error('Could not record audit entry', { action, err: error });
+  }
+};
@@ -0,0 +1,9 @@
+import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+
+// Access token sent as `Authorization: Bearer <token>`, valid for JWT_ACCESS_EXPIRE
+export const generateToken = (id) => {
+  return jwt.sign({ id, type: 'access' }, config.jwt.secret, {
+    expiresIn: config.jwt.accessExpire
+  });
+};
@@ -0,0 +1,46 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/env.js';
+import logger from './logger.js';
+
+// Built-in transports. Each one takes a message
+// ({ from, to, subject, text }) and delivers it.
+const transports = {
+  // Write emails to the log (default in development)
+  console: async (message) => {
+    logger.info('Email', { to: message.to, subject: message.subject, text: message.text });
+  },
+
+  // Write each email as a JSON file to MAIL_DIR, handy for offline testing
+  file: async (message) => {
+    await fs.mkdir(config.mail.dir, { recursive: true });
+    const file = path.join(config.mail.dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+  },
+
+  // Deliver through an SMTP server with nodemailer
+  smtp: async (message) => {
+    const { default: nodemailer } = await import('nodemailer');
+    const { host, port, user, pass } = config.mail.smtp;
+    const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: user ? { user, pass } : undefined
+    });
+    await transporter.sendMail(message);
+  }
+};
+
+let transport = transports[config.mail.transport];
+
+// Swap the transport, e.g. to capture emails in tests:
+//   setTransport(async (message) => sent.push(message));
+export const setTransport = (custom) => {
+  transport = typeof custom === 'function' ? custom : transports[custom];
+  if (!transport) throw new Error(`Unknown mail transport: ${custom}`);
+};
+
+export const sendMail = ({ to, subject, text }) => {
+  return transport({ from: config.mail.from, to, subject, text });
+};
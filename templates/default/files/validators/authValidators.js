@@ -0,0 +1,34 @@
+// Request body rules for the auth routes (see middlewares/validate.js).
+// `role`, `isActive` and the verification/reset fields are never listed, so
+// clients cannot set them.
+
+const PASSWORD_MIN_LENGTH = 6;
+
+export const registerRules = {
+  name: { type: 'string', required: true, trim: true, maxLength: 50 },
+  email: { type: 'email', required: true },
+  password: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH }
+};
+
+export const loginRules = {
+  email: { type: 'email', required: true },
+  password: { type: 'string', required: true }
+};
+
+export const forgotPasswordRules = {
+  email: { type: 'email', required: true }
+};
+
+export const resetPasswordRules = {
+  password: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH }
+};
+
+export const updateMeRules = {
+  name: { type: 'string', required: true, trim: true, maxLength: 50 },
+  email: { type: 'email', required: true }
+};
+
+export const updatePasswordRules = {
+  currentPassword: { type: 'string', required: true },
+  newPassword: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH }
+};
@@ -0,0 +1,11 @@
+import Item from '../models/Item.js';
+
+// Request body rules for the item routes (see middlewares/validate.js).
+// `user` is never accepted: items always belong to the logged-in user.
+export const itemRules = {
+  name: { type: 'string', required: true, trim: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  quantity: { type: 'number', required: true, integer: true, min: 0 },
+  price: { type: 'number', required: true, min: 0 },
+  category: { type: 'string', required: true, enum: Item.schema.path('category').enumValues }
+};
@@ -0,0 +1,32 @@
+import mongoose, { type HydratedDocument, type Types } from 'mongoose';
+
+export interface I{{modelName}} {
+  _id: Types.ObjectId;
+{{#each fields}}
+  {{this.property}};
+{{/each}}
+  user: Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type {{modelName}}Document = HydratedDocument<I{{modelName}}>;
+
+const {{camelName}}Schema = new mongoose.Schema<I{{modelName}}>({
+{{#each fields}}
+  {{this.name}}: {
+{{#each this.lines}}
+    {{this}}{{#unless @last}},{{/unless}}
+{{/each}}
+  },
+{{/each}}
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model<I{{modelName}}>('{{modelName}}', {{camelName}}Schema);
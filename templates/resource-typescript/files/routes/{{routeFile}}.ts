@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  get{{pluralPascal}},
+  get{{modelName}},
+  create{{modelName}},
+  update{{modelName}},
+  delete{{modelName}}
+} from '../controllers/{{camelName}}Controller.js';
+import {{modelName}} from '../models/{{modelName}}.js';
+import { protect } from '../middlewares/authMiddleware.js';
+import advancedResults from '../middlewares/advancedResults.js';
+import validate from '../middlewares/validate.js';
+import { {{camelName}}Rules } from '../validators/{{camelName}}Validators.js';
+
+const router = express.Router();
+
+router.use(protect); // Protect all routes
+
+router.route('/')
+  .get(advancedResults({{modelName}}, {
+    scope: (req) => ({ user: req.user!.id }),
+    populate: { path: 'user', select: 'name email' },
+    searchFields: [{{#each searchFields}}'{{this}}'{{#unless @last}}, {{/unless}}{{/each}}]
+  }), get{{pluralPascal}})
+  .post(validate({{camelName}}Rules), create{{modelName}});
+router.route('/:id')
+  .get(get{{modelName}})
+  .put(validate({{camelName}}Rules, { partial: true }), update{{modelName}})
+  .delete(delete{{modelName}});
+
+export default router;
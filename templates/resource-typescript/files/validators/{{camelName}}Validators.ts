@@ -0,0 +1,9 @@
+import type { Rules } from '../middlewares/validate.js';
+
+// Request body rules for the {{label}} routes (see middlewares/validate.ts).
+// `user` is never accepted: {{pluralLabel}} always belong to the logged-in user.
+export const {{camelName}}Rules: Rules = {
+{{#each fields}}
+  {{this.name}}: {{this.rule}}{{#unless @last}},{{/unless}}
+{{/each}}
+};
@@ -0,0 +1,78 @@
+import {{modelName}} from '../models/{{modelName}}.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+import { NotFoundError } from '../utils/ApiError.js';
+
+// @desc    Get all {{pluralLabel}} (paginated, filtered and sorted by advancedResults)
+// @route   GET /api/{{routePath}}
+// @access  Private
+export const get{{pluralPascal}} = asyncHandler(async (req, res) => {
+  res.json(res.advancedResults);
+});
+
+// @desc    Get single {{label}}
+// @route   GET /api/{{routePath}}/:id
+// @access  Private
+export const get{{modelName}} = asyncHandler(async (req, res) => {
+  const {{camelName}} = await {{modelName}}.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!{{camelName}}) {
+    throw new NotFoundError('{{modelName}} not found');
+  }
+
+  res.json({
+    success: true,
+    data: {{camelName}}
+  });
+});
+
+// @desc    Create new {{label}}
+// @route   POST /api/{{routePath}}
+// @access  Private
+export const create{{modelName}} = asyncHandler(async (req, res) => {
+  // req.body only holds validated fields (see validators/{{camelName}}Validators.js)
+  const {{camelName}} = await {{modelName}}.create({ ...req.body, user: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: {{camelName}}
+  });
+});
+
+// @desc    Update {{label}}
+// @route   PUT /api/{{routePath}}/:id
+// @access  Private
+export const update{{modelName}} = asyncHandler(async (req, res) => {
+  let {{camelName}} = await {{modelName}}.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!{{camelName}}) {
+    throw new NotFoundError('{{modelName}} not found');
+  }
+
+  {{camelName}} = await {{modelName}}.findByIdAndUpdate(req.params.id, req.body, {
+    returnDocument: 'after',
+    runValidators: true
+  });
+
+  res.json({
+    success: true,
+    data: {{camelName}}
+  });
+});
+
+// @desc    Delete {{label}}
+// @route   DELETE /api/{{routePath}}/:id
+// @access  Private
+export const delete{{modelName}} = asyncHandler(async (req, res) => {
+  const {{camelName}} = await {{modelName}}.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!{{camelName}}) {
+    throw new NotFoundError('{{modelName}} not found');
+  }
+
+  await {{modelName}}.findByIdAndDelete(req.params.id);
+
+  res.json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+const {{camelName}}Schema = new mongoose.Schema({
+{{#each fields}}
+  {{this.name}}: {
+{{#each this.lines}}
+    {{this}}{{#unless @last}},{{/unless}}
+{{/each}}
+  },
+{{/each}}
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('{{modelName}}', {{camelName}}Schema);
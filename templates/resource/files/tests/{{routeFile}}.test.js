@@ -0,0 +1,63 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestApp } from './helpers.js';
+
+const sample = {
+{{#each fields}}
+  {{this.name}}: {{this.sample}}{{#unless @last}},{{/unless}}
+{{/each}}
+};
+
+describe('{{pluralLabel}}', () => {
+  const ctx = setupTestApp();
+  let owner;
+  let other;
+
+  beforeEach(async () => {
+    owner = await ctx.registerUser({ email: 'owner@example.com' });
+    other = await ctx.registerUser({ email: 'other@example.com' });
+  });
+
+  const create{{modelName}} = async () => {
+    const res = await ctx.request('POST', '/api/{{routePath}}', { token: owner.token, body: sample });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.data;
+  };
+
+  test('requires authentication', async () => {
+    const res = await ctx.request('GET', '/api/{{routePath}}');
+    assert.equal(res.status, 401);
+  });
+
+  test('creates a {{label}} owned by the caller', async () => {
+    const {{camelName}} = await create{{modelName}}();
+    assert.equal({{camelName}}.user, owner.user._id);
+  });
+
+  test('lists only the caller\'s {{pluralLabel}}', async () => {
+    await create{{modelName}}();
+    const mine = await ctx.request('GET', '/api/{{routePath}}', { token: owner.token });
+    const theirs = await ctx.request('GET', '/api/{{routePath}}', { token: other.token });
+    assert.equal(mine.body.pagination.total, 1);
+    assert.equal(theirs.body.pagination.total, 0);
+  });
+
+  test('gets, updates and deletes a {{label}}', async () => {
+    const { _id: id } = await create{{modelName}}();
+    const path = `/api/{{routePath}}/${id}`;
+
+    assert.equal((await ctx.request('GET', path, { token: owner.token })).status, 200);
+    assert.equal((await ctx.request('PUT', path, { token: owner.token, body: sample })).status, 200);
+    assert.equal((await ctx.request('DELETE', path, { token: owner.token })).status, 200);
+    assert.equal((await ctx.request('GET', path, { token: owner.token })).status, 404);
+  });
+
+  test('hides other users\' {{pluralLabel}}', async () => {
+    const { _id: id } = await create{{modelName}}();
+    const path = `/api/{{routePath}}/${id}`;
+
+    assert.equal((await ctx.request('GET', path, { token: other.token })).status, 404);
+    assert.equal((await ctx.request('PUT', path, { token: other.token, body: sample })).status, 404);
+    assert.equal((await ctx.request('DELETE', path, { token: other.token })).status, 404);
+  });
+});
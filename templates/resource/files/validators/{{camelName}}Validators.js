@@ -0,0 +1,7 @@
+// Request body rules for the {{label}} routes (see middlewares/validate.js).
+// `user` is never accepted: {{pluralLabel}} always belong to the logged-in user.
+export const {{camelName}}Rules = {
+{{#each fields}}
+  {{this.name}}: {{this.rule}}{{#unless @last}},{{/unless}}
+{{/each}}
+};
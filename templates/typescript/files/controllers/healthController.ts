@@ -0,0 +1,92 @@
+import type { RequestHandler } from 'express';
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+import packageJson from '../package.json' with { type: 'json' };
+
+// A ping slower than this counts as a failed dependency
+const PING_TIMEOUT_MS = 2000;
+
+const { version } = packageJson;
+
+const toMb = (bytes: number) => Math.round((bytes / 1024 / 1024) * 10) / 10;
+
+// Facts about the process itself, included in every health response
+const processInfo = () => {
+  const memory = process.memoryUsage();
+  return {
+    version,
+    environment: config.env,
+    uptime: Math.round(process.uptime()),
+    memoryMb: {
+      rss: toMb(memory.rss),
+      heapTotal: toMb(memory.heapTotal),
+      heapUsed: toMb(memory.heapUsed)
+    },
+    timestamp: new Date().toISOString()
+  };
+};
+
+// Result of one dependency check
+interface Check {
+  status: 'pass' | 'fail';
+  state: string;
+  latencyMs?: number;
+  error?: string;
+}
+
+// Connection state and round trip time of a ping to MongoDB
+const checkMongo = async (): Promise<Check> => {
+  const { readyState } = mongoose.connection;
+  const state = String(mongoose.ConnectionStates[readyState] || 'unknown');
+  if (readyState !== mongoose.ConnectionStates.connected) {
+    return { status: 'fail', state };
+  }
+
+  const started = process.hrtime.bigint();
+  let timer: NodeJS.Timeout | undefined;
+  try {
+    await Promise.race([
+      mongoose.connection.db!.admin().ping(),
+      new Promise<never>((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`ping timed out after ${PING_TIMEOUT_MS} ms`)), PING_TIMEOUT_MS);
+      })
+    ]);
+    const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+    return { status: 'pass', state, latencyMs: Math.round(latencyMs * 100) / 100 };
+  } catch (error) {
+    return { status: 'fail', state, error: (error as Error).message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// @desc    Liveness probe: the process is up and answering requests
+// @route   GET /health/live
+// @access  Public
+export const getLiveness: RequestHandler = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    status: 'pass',
+    ...processInfo()
+  });
+};
+
+// @desc    Readiness probe: MongoDB answers a ping and no shutdown has started
+// @route   GET /health/ready (also GET /health)
+// @access  Public
+export const getReadiness = asyncHandler(async (req, res) => {
+  const checks: Record<string, Check> = { mongodb: await checkMongo() };
+  const shuttingDown = Boolean(req.app.locals.shuttingDown);
+  const ready = !shuttingDown && Object.values(checks).every(check => check.status === 'pass');
+
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'pass' : 'fail',
+    ...(shuttingDown ? { message: 'Shutting down' } : {}),
+    ...processInfo(),
+    checks
+  });
+});
@@ -0,0 +1,79 @@
+import Item from '../models/Item.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+import { NotFoundError } from '../utils/ApiError.js';
+import type { AuthenticatedRequest } from '../types/express.js';
+
+// @desc    Get all items (paginated, filtered and sorted by advancedResults)
+// @route   GET /api/items
+// @access  Private
+export const getItems = asyncHandler<AuthenticatedRequest>(async (req, res) => {
+  res.json(res.advancedResults);
+});
+
+// @desc    Get single item
+// @route   GET /api/items/:id
+// @access  Private
+export const getItem = asyncHandler<AuthenticatedRequest>(async (req, res) => {
+  const item = await Item.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  res.json({
+    success: true,
+    data: item
+  });
+});
+
+// @desc    Create new item
+// @route   POST /api/items
+// @access  Private
+export const createItem = asyncHandler<AuthenticatedRequest>(async (req, res) => {
+  // req.body only holds validated fields (see validators/itemValidators.ts)
+  const item = await Item.create({ ...req.body, user: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: item
+  });
+});
+
+// @desc    Update item
+// @route   PUT /api/items/:id
+// @access  Private
+export const updateItem = asyncHandler<AuthenticatedRequest>(async (req, res) => {
+  let item = await Item.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  item = await Item.findByIdAndUpdate(req.params.id, req.body, {
+    returnDocument: 'after',
+    runValidators: true
+  });
+
+  res.json({
+    success: true,
+    data: item
+  });
+});
+
+// @desc    Delete item
+// @route   DELETE /api/items/:id
+// @access  Private
+export const deleteItem = asyncHandler<AuthenticatedRequest>(async (req, res) => {
+  const item = await Item.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  await Item.findByIdAndDelete(req.params.id);
+
+  res.json({
+    success: true,
+    data: {}
+  });
+});
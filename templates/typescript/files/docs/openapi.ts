@@ -0,0 +1,539 @@
+import type { Model, SchemaType } from 'mongoose';
+import User, { ROLES } from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import {
+  registerRules,
+  loginRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  updateMeRules,
+  updatePasswordRules
+} from '../validators/authValidators.js';
+import type { Rule, Rules } from '../middlewares/validate.js';
+import resources, { type Resource } from './resources.js';
+import packageJson from '../package.json' with { type: 'json' };
+
+// Build the OpenAPI 3 description of the API. Response bodies are derived
+// from the Mongoose schemas in models/ and request bodies from the rules in
+// validators/, so the document follows the code. app.ts serves it at
+// /api/docs and `npm run docs` writes it to openapi.json.
+
+const { name, version, description } = packageJson as { name: string; version: string; description?: string };
+
+// A piece of the document (schema, operation, response...)
+export type JsonObject = Record<string, any>;
+
+interface OperationOptions {
+  tag: string;
+  summary: string;
+  auth?: boolean;
+  admin?: boolean;
+  parameters?: JsonObject[];
+  requestBody?: JsonObject;
+  responses: JsonObject;
+}
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '65a1f0c2a1b2c3d4e5f60718' };
+
+const ref = (schema: string) => ({ $ref: `#/components/schemas/${schema}` });
+const response = (key: string) => ({ $ref: `#/components/responses/${key}` });
+
+// Mongoose options such as `min` may be given as [value, message]
+const optionValue = (value: unknown) => (Array.isArray(value) ? value[0] : value);
+
+// JSON Schema of one Mongoose path
+const pathToJson = (schemaType: SchemaType & JsonObject): JsonObject => {
+  if (schemaType.instance === 'Array') {
+    const item = schemaType.embeddedSchemaType || schemaType.caster;
+    return { type: 'array', items: item ? pathToJson(item) : {} };
+  }
+
+  const options = schemaType.options || {};
+  let json: JsonObject;
+  switch (schemaType.instance) {
+    case 'String':
+      json = { type: 'string' };
+      if (schemaType.enumValues && schemaType.enumValues.length > 0) json.enum = schemaType.enumValues;
+      if (options.minlength !== undefined) json.minLength = optionValue(options.minlength);
+      if (options.maxlength !== undefined) json.maxLength = optionValue(options.maxlength);
+      break;
+    case 'Number':
+      json = { type: 'number' };
+      if (options.min !== undefined) json.minimum = optionValue(options.min);
+      if (options.max !== undefined) json.maximum = optionValue(options.max);
+      break;
+    case 'Boolean':
+      json = { type: 'boolean' };
+      break;
+    case 'Date':
+      json = { type: 'string', format: 'date-time' };
+      break;
+    case 'ObjectId':
+      // References are populated on some routes
+      json = options.ref
+        ? { oneOf: [OBJECT_ID, { type: 'object', description: `Populated ${options.ref}` }], description: `${options.ref} id` }
+        : { ...OBJECT_ID };
+      break;
+    default:
+      json = { type: 'object' };
+  }
+
+  if (options.default !== undefined && typeof options.default !== 'function') json.default = options.default;
+  return json;
+};
+
+// JSON Schema of documents returned by the API. Fields with select: false
+// (passwords, token hashes) are never sent, so they are left out.
+export const modelToJson = (model: Model<any, any, any, any>): JsonObject => {
+  const properties: JsonObject = {};
+  const required = ['_id'];
+  model.schema.eachPath((path, schemaType) => {
+    if (path === '__v' || schemaType.options.select === false) return;
+    properties[path] = path === '_id' ? OBJECT_ID : pathToJson(schemaType);
+    if (schemaType.isRequired) required.push(path);
+  });
+  return { type: 'object', required, properties };
+};
+
+// JSON Schema of one validation rule (see middlewares/validate.ts)
+const ruleToJson = (rule: Rule): JsonObject => {
+  switch (rule.type) {
+    case 'string': {
+      const json: JsonObject = { type: 'string' };
+      if (rule.minLength !== undefined) json.minLength = rule.minLength;
+      if (rule.maxLength !== undefined) json.maxLength = rule.maxLength;
+      if (rule.enum) json.enum = rule.enum;
+      return json;
+    }
+    case 'email':
+      return { type: 'string', format: 'email' };
+    case 'number': {
+      const json: JsonObject = { type: rule.integer ? 'integer' : 'number' };
+      if (rule.min !== undefined) json.minimum = rule.min;
+      if (rule.max !== undefined) json.maximum = rule.max;
+      if (rule.enum) json.enum = rule.enum;
+      return json;
+    }
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'date':
+      return { type: 'string', format: 'date-time' };
+    case 'objectid':
+      return { ...OBJECT_ID };
+    case 'array':
+      return { type: 'array', items: ruleToJson({ type: rule.of! }) };
+    default:
+      return {};
+  }
+};
+
+// JSON Schema of a request body. Partial bodies (updates) require nothing.
+export const rulesToJson = (rules: Rules, { partial = false } = {}): JsonObject => {
+  const properties: JsonObject = {};
+  const required: string[] = [];
+  for (const [field, rule] of Object.entries(rules)) {
+    properties[field] = ruleToJson(rule);
+    if (rule.required && !partial) required.push(field);
+  }
+  return { type: 'object', ...(required.length > 0 ? { required } : {}), properties, additionalProperties: false };
+};
+
+// Response envelopes: { success, data } and the paginated list of
+// middlewares/advancedResults.ts
+const envelope = (data: JsonObject) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: { success: { type: 'boolean', example: true }, data }
+});
+
+const listEnvelope = (item: JsonObject) => ({
+  type: 'object',
+  required: ['success', 'count', 'pagination', 'data'],
+  properties: {
+    success: { type: 'boolean', example: true },
+    count: { type: 'integer' },
+    pagination: ref('Pagination'),
+    data: { type: 'array', items: item }
+  }
+});
+
+const json = (description: string, schema: JsonObject) => ({ description, content: { 'application/json': { schema } } });
+
+const body = (schema: JsonObject) => ({ required: true, content: { 'application/json': { schema } } });
+
+const idParam = (description: string) => ({ name: 'id', in: 'path', required: true, description, schema: OBJECT_ID });
+
+const tokenParam = (description: string) => ({ name: 'token', in: 'path', required: true, description, schema: { type: 'string' } });
+
+// Query parameters of every list route. Each schema field can also be
+// filtered on, with operators as `field[gte]=10`.
+const listParams = (model: Model<any, any, any, any>) => {
+  const params: JsonObject[] = [
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 25 } },
+    { name: 'sort', in: 'query', description: 'Comma-separated fields, `-` for descending', schema: { type: 'string', default: '-createdAt' } },
+    { name: 'select', in: 'query', description: 'Comma-separated fields to return', schema: { type: 'string' } },
+    { name: 'search', in: 'query', description: 'Case-insensitive match on the search fields of the route', schema: { type: 'string' } }
+  ];
+  model.schema.eachPath((path, schemaType) => {
+    if (path === '__v' || schemaType.options.select === false || schemaType.instance === 'Array') return;
+    params.push({
+      name: path,
+      in: 'query',
+      description: `Exact match; use \`${path}[gt|gte|lt|lte|ne|in|nin]\` for operators`,
+      schema: schemaType.instance === 'ObjectId' ? OBJECT_ID : pathToJson(schemaType as SchemaType & JsonObject)
+    });
+  });
+  return params;
+};
+
+// Operation with the error responses every route shares
+const operation = ({ tag, summary, auth = false, admin = false, parameters, requestBody, responses }: OperationOptions) => ({
+  tags: [tag],
+  summary,
+  ...(auth || admin ? { security: [{ bearerAuth: [] }] } : {}),
+  ...(parameters ? { parameters } : {}),
+  ...(requestBody ? { requestBody } : {}),
+  responses: {
+    ...responses,
+    ...(requestBody ? { 400: response('BadRequest'), 422: response('ValidationFailed') } : {}),
+    ...(auth || admin ? { 401: response('Unauthorized') } : {}),
+    ...(admin ? { 403: response('Forbidden') } : {}),
+{{#if security}}
+    429: response('TooManyRequests'),
+{{/if}}
+    500: response('ServerError')
+  }
+});
+
+// GET/POST /api/<things> and GET/PUT/DELETE /api/<things>/{id} of a
+// resource registered in docs/resources.ts
+const resourcePaths = ({ model, path, rules, tag }: Resource) => {
+  const { modelName } = model;
+  const label = modelName.toLowerCase();
+  const article = /^[aeiou]/.test(label) ? 'an' : 'a';
+  const data = json(`The ${label}`, envelope(ref(modelName)));
+  return {
+    [path]: {
+      get: operation({
+        tag,
+        summary: `List my ${tag.toLowerCase()}`,
+        auth: true,
+        parameters: listParams(model),
+        responses: { 200: json(`A page of ${tag.toLowerCase()}`, listEnvelope(ref(modelName))) }
+      }),
+      post: operation({
+        tag,
+        summary: `Create ${article} ${label}`,
+        auth: true,
+        requestBody: body(rulesToJson(rules)),
+        responses: { 201: json(`The created ${label}`, envelope(ref(modelName))) }
+      })
+    },
+    [`${path}/{id}`]: {
+      get: operation({
+        tag,
+        summary: `Get one of my ${tag.toLowerCase()}`,
+        auth: true,
+        parameters: [idParam(`${modelName} id`)],
+        responses: { 200: data, 404: response('NotFound') }
+      }),
+      put: operation({
+        tag,
+        summary: `Update ${article} ${label} (only the fields sent are changed)`,
+        auth: true,
+        parameters: [idParam(`${modelName} id`)],
+        requestBody: body(rulesToJson(rules, { partial: true })),
+        responses: { 200: data, 404: response('NotFound') }
+      }),
+      delete: operation({
+        tag,
+        summary: `Delete ${article} ${label}`,
+        auth: true,
+        parameters: [idParam(`${modelName} id`)],
+        responses: { 200: json('Deleted', envelope({ type: 'object' })), 404: response('NotFound') }
+      })
+    }
+  };
+};
+
+const authPaths = () => {
+  const tag = 'Auth';
+{{#if refreshTokens}}
+  const session = json('The user and a new access token; the refresh token is set in an httpOnly cookie', envelope(ref('AuthUser')));
+{{else}}
+  const session = json('The user and a new access token', envelope(ref('AuthUser')));
+{{/if}}
+  const message = (description: string) => json(description, {
+    type: 'object',
+    properties: { success: { type: 'boolean', example: true }, message: { type: 'string' } }
+  });
+{{#if refreshTokens}}
+  const refreshCookie = [{ refreshCookie: [] }];
+{{/if}}
+
+  return {
+    '/api/auth/register': {
+      post: operation({
+        tag,
+        summary: 'Register a new user',
+        requestBody: body(rulesToJson(registerRules)),
+        responses: { 201: session, 409: response('Conflict') }
+      })
+    },
+    '/api/auth/login': {
+      post: operation({
+        tag,
+        summary: 'Log in',
+        requestBody: body(rulesToJson(loginRules)),
+        responses: {
+          200: session,
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          423: response('Locked')
+        }
+      })
+    },
+{{#if refreshTokens}}
+    '/api/auth/refresh': {
+      post: {
+        ...operation({
+          tag,
+          summary: 'Rotate the refresh token and get a new access token',
+          responses: { 200: json('A new access token', envelope({ type: 'object', properties: { token: { type: 'string' } } })), 401: response('Unauthorized') }
+        }),
+        security: refreshCookie
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        ...operation({
+          tag,
+          summary: 'Revoke the refresh token and clear its cookie',
+          responses: { 200: json('Logged out', envelope({ type: 'object' })) }
+        }),
+        security: refreshCookie
+      }
+    },
+{{/if}}
+    '/api/auth/forgot-password': {
+      post: operation({
+        tag,
+        summary: 'Email a password reset link',
+        requestBody: body(rulesToJson(forgotPasswordRules)),
+        responses: { 200: message('Sent when the email is registered; the answer is the same either way') }
+      })
+    },
+    '/api/auth/reset-password/{token}': {
+      put: operation({
+        tag,
+        summary: 'Set a new password with the token from the reset email',
+        parameters: [tokenParam('Token from the reset email')],
+        requestBody: body(rulesToJson(resetPasswordRules)),
+        responses: { 200: session }
+      })
+    },
+    '/api/auth/verify-email/{token}': {
+      get: operation({
+        tag,
+        summary: 'Confirm the email address',
+        parameters: [tokenParam('Token from the verification email')],
+        responses: { 200: message('Email verified'), 400: response('BadRequest') }
+      })
+    },
+    '/api/auth/me': {
+      get: operation({
+        tag,
+        summary: 'Get the logged in user',
+        auth: true,
+        responses: { 200: json('The user', envelope(ref('User'))) }
+      }),
+      put: operation({
+        tag,
+        summary: 'Update own name and email (a new email must be verified again)',
+        auth: true,
+        requestBody: body(rulesToJson(updateMeRules, { partial: true })),
+        responses: { 200: json('The user', envelope(ref('User'))), 409: response('Conflict') }
+      })
+    },
+    '/api/auth/password': {
+      put: operation({
+        tag,
+        summary: 'Change own password and end every other session',
+        auth: true,
+        requestBody: body(rulesToJson(updatePasswordRules)),
+        responses: { 200: session }
+      })
+    }
+  };
+};
+
+const userPaths = () => {
+  const tag = 'Users';
+  const user = json('The user', envelope(ref('User')));
+  const id = [idParam('User id')];
+  const adminAction = (summary: string, extra: Partial<OperationOptions> = {}) => operation({
+    tag,
+    summary,
+    admin: true,
+    parameters: id,
+    ...extra,
+    responses: { 200: user, 400: response('BadRequest'), 404: response('NotFound'), ...extra.responses }
+  });
+
+  return {
+    '/api/users': {
+      get: operation({
+        tag,
+        summary: 'List users',
+        admin: true,
+        parameters: listParams(User),
+        responses: { 200: json('A page of users', listEnvelope(ref('User'))) }
+      })
+    },
+    '/api/users/{id}': {
+      get: adminAction('Get a user, including the lockout state'),
+      delete: adminAction('Delete a user with their {{#if items}}items and {{/if}}sessions', {
+        responses: { 200: json('Deleted', envelope({ type: 'object' })) }
+      })
+    },
+    '/api/users/{id}/role': {
+      put: adminAction('Change the role of a user', {
+        requestBody: body(rulesToJson({ role: { type: 'string', required: true, enum: ROLES } }))
+      })
+    },
+    '/api/users/{id}/deactivate': { put: adminAction('Deactivate a user and end all their sessions') },
+    '/api/users/{id}/activate': { put: adminAction('Reactivate a user') },
+    '/api/users/{id}/unlock': { put: adminAction('Lift a login lockout') },
+    '/api/users/{id}/audit': {
+      get: operation({
+        tag,
+        summary: 'Audit log of a user (logins, lockouts, unlocks)',
+        admin: true,
+        parameters: [...id, ...listParams(AuditLog)],
+        responses: { 200: json('A page of audit entries', listEnvelope(ref('AuditLog'))) }
+      })
+    }
+  };
+};
+
+const healthPaths = () => {
+  const tag = 'Health';
+  const report = (description: string) => json(description, ref('HealthReport'));
+  const failed = { description: 'A dependency is down or the server is shutting down', content: { 'application/json': { schema: ref('HealthReport') } } };
+  return {
+    '/health/live': { get: { tags: [tag], summary: 'Liveness probe', responses: { 200: report('The process is up') } } },
+    '/health/ready': { get: { tags: [tag], summary: 'Readiness probe', responses: { 200: report('Ready for traffic'), 503: failed } } },
+    '/health': { get: { tags: [tag], summary: 'Same as /health/ready', responses: { 200: report('Ready for traffic'), 503: failed } } }
+  };
+};
+
+const problem = (description: string) => ({
+  description,
+  content: { 'application/problem+json': { schema: ref('Problem') } }
+});
+
+const components = () => ({
+  securitySchemes: {
+{{#if refreshTokens}}
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from register, login or refresh' },
+    refreshCookie: { type: 'apiKey', in: 'cookie', name: 'refreshToken', description: 'httpOnly refresh token cookie' }
+{{else}}
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from register or login' }
+{{/if}}
+  },
+  schemas: {
+    ...Object.fromEntries([User, AuditLog, ...resources.map(resource => resource.model)]
+      .map(model => [model.modelName, modelToJson(model)])),
+    AuthUser: {
+      type: 'object',
+      properties: {
+        _id: OBJECT_ID,
+        name: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string', enum: ROLES },
+        isEmailVerified: { type: 'boolean' },
+        token: { type: 'string', description: 'Access token, send it as `Authorization: Bearer <token>`' }
+      }
+    },
+    Pagination: {
+      type: 'object',
+      required: ['total', 'page', 'limit', 'pages'],
+      properties: {
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        pages: { type: 'integer' },
+        next: ref('PageLink'),
+        prev: ref('PageLink')
+      }
+    },
+    PageLink: {
+      type: 'object',
+      properties: { page: { type: 'integer' }, limit: { type: 'integer' }, url: { type: 'string' } }
+    },
+    // RFC 7807 problem details, see middlewares/errorHandler.ts
+    Problem: {
+      type: 'object',
+      required: ['type', 'title', 'status', 'detail', 'success'],
+      properties: {
+        type: { type: 'string', example: 'about:blank' },
+        title: { type: 'string', example: 'Not Found' },
+        status: { type: 'integer', example: 404 },
+        detail: { type: 'string', example: 'Item not found' },
+        instance: { type: 'string', example: '/api/items/65a1f0c2a1b2c3d4e5f60718' },
+        success: { type: 'boolean', example: false },
+        requestId: { type: 'string' },
+        errors: {
+          type: 'array',
+          description: 'Only for validation errors (422)',
+          items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+        }
+      }
+    },
+    HealthReport: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        status: { type: 'string', enum: ['pass', 'fail'] },
+        version: { type: 'string' },
+        environment: { type: 'string' },
+        uptime: { type: 'integer', description: 'Seconds' },
+        memoryMb: { type: 'object', additionalProperties: { type: 'number' } },
+        timestamp: { type: 'string', format: 'date-time' },
+        checks: { type: 'object', additionalProperties: { type: 'object' } }
+      }
+    }
+  },
+  responses: {
+    BadRequest: problem('Bad request'),
+    Unauthorized: problem('Missing, invalid or expired credentials'),
+    Forbidden: problem('Not allowed'),
+    NotFound: problem('Not found'),
+    Conflict: problem('Already exists'),
+    Locked: problem('Account locked after too many failed logins (see the Retry-After header)'),
+    ValidationFailed: problem('Invalid request body, `errors` lists every failing field'),
+{{#if security}}
+    TooManyRequests: problem('Rate limit exceeded (see the Retry-After header)'),
+{{/if}}
+    ServerError: problem('Unexpected error')
+  }
+});
+
+export const buildOpenApiSpec = (): JsonObject => ({
+  openapi: '3.0.3',
+  info: { title: name, version, ...(description ? { description } : {}) },
+  tags: [
+    { name: 'Auth' },
+    { name: 'Users', description: 'Admins only' },
+    ...resources.map(resource => ({ name: resource.tag })),
+    { name: 'Health' }
+  ],
+  paths: {
+    ...authPaths(),
+    ...userPaths(),
+    ...Object.assign({}, ...resources.map(resourcePaths)),
+    ...healthPaths()
+  },
+  components: components()
+});
@@ -0,0 +1,26 @@
+import type { Model } from 'mongoose';
+import type { Rules } from '../middlewares/validate.js';
+{{#if items}}
+import Item from '../models/Item.js';
+import { itemRules } from '../validators/itemValidators.js';
+{{/if}}
+
+export interface Resource {
+  model: Model<any, any, any, any>;
+  path: string;
+  rules: Rules;
+  tag: string;
+}
+
+// CRUD resources described in the OpenAPI document (see docs/openapi.ts):
+// the model, where its router is mounted, its request body rules and the
+// tag grouping its routes. `mern-server-setup add resource` adds new ones.
+{{#if items}}
+const resources: Resource[] = [
+  { model: Item, path: '/api/items', rules: itemRules, tag: 'Items' }
+];
+{{else}}
+const resources: Resource[] = [];
+{{/if}}
+
+export default resources;
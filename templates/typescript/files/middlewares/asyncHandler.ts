@@ -0,0 +1,10 @@
+import type { NextFunction, Request, RequestHandler, Response } from 'express';
+
+// Pass errors of async handlers to next(). Handlers behind protect() can
+// declare the request type: asyncHandler<AuthenticatedRequest>(...)
+const asyncHandler = <Req extends Request = Request>(
+  fn: (req: Req, res: Response, next: NextFunction) => unknown
+): RequestHandler => (req, res, next) =>
+  Promise.resolve(fn(req as Req, res, next)).catch(next);
+
+export default asyncHandler;
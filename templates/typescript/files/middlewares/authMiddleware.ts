@@ -0,0 +1,47 @@
+import type { RequestHandler } from 'express';
+import jwt from 'jsonwebtoken';
+import User, { type Role } from '../models/User.js';
+import config from '../config/env.js';
+import asyncHandler from './asyncHandler.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/ApiError.js';
+import type { AccessTokenPayload } from '../utils/generateToken.js';
+import type { AuthenticatedRequest } from '../types/express.js';
+
+const protect = asyncHandler(async (req, res, next) => {
+  let token: string | undefined;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    throw new UnauthorizedError('Not authorized to access this route');
+  }
+
+  // Invalid and expired tokens throw; errorHandler.ts answers 401
+  const decoded = jwt.verify(token, config.jwt.secret) as Partial<AccessTokenPayload>;
+
+  // Only access tokens are accepted, and the user must still exist
+  const user = decoded.type === 'access' ? await User.findById(decoded.id) : null;
+  if (!user) {
+    throw new UnauthorizedError('Not authorized to access this route');
+  }
+  if (!user.isActive) {
+    throw new UnauthorizedError('Account is deactivated');
+  }
+  req.user = user;
+  next();
+});
+
+// Grant access to specific roles
+const authorize = (...roles: Role[]): RequestHandler => {
+  return (req, res, next) => {
+    const { user } = req as AuthenticatedRequest;
+    if (!roles.includes(user.role)) {
+      throw new ForbiddenError(`User role ${user.role} is not authorized to access this route`);
+    }
+    next();
+  };
+};
+
+export { protect, authorize };
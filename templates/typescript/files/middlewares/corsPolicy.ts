@@ -0,0 +1,14 @@
+import cors from 'cors';
+
+// CORS restricted to an allowlist of origins (CORS_ORIGINS, defaulting to
+// CLIENT_URL). Requests without an Origin header (curl, server-to-server,
+// same-origin) are let through; other origins get no CORS headers, so
+// browsers block the response.
+const corsPolicy = (origins: readonly string[]) => cors({
+  origin: (origin, callback) => callback(null, !origin || origins.includes(origin)),
+  credentials: true,
+  // Let browser clients read the request ID to quote it in bug reports
+  exposedHeaders: ['X-Request-Id']
+});
+
+export default corsPolicy;
@@ -0,0 +1,11 @@
+import type { RequestHandler } from 'express';
+import { NotFoundError } from '../utils/ApiError.js';
+
+// Catch-all for requests no route matched. Mounted after the routers and
+// before errorHandler, so unknown URLs get the same problem details body as
+// every other error instead of Express' HTML page.
+const notFound: RequestHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+export default notFound;
@@ -0,0 +1,67 @@
+import type { Request, RequestHandler } from 'express';
+import { ApiError } from '../utils/ApiError.js';
+
+interface RateLimitOptions {
+  windowMs?: number;
+  max?: number;
+  message?: string;
+  keyGenerator?: (req: Request) => string;
+}
+
+export type RateLimiter = RequestHandler & { reset: () => void };
+
+// Fixed-window rate limiter keyed by client IP, kept in memory.
+// Good for a single process; use a shared store (e.g. Redis) when running
+// several instances behind a load balancer.
+//
+// Options:
+//   windowMs      length of the window in milliseconds
+//   max           requests allowed per client and window
+//   message       error message of the 429 response
+//   keyGenerator  (req) => key identifying the client (default: req.ip)
+const rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  message = 'Too many requests, please try again later',
+  keyGenerator = (req) => req.ip || 'unknown'
+}: RateLimitOptions = {}): RateLimiter => {
+  const hits = new Map<string, { count: number; resetAt: number }>();
+
+  // Forget clients whose window has passed, so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  const limiter: RequestHandler = (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new ApiError(429, message));
+    }
+    next();
+  };
+
+  // Lets tests start from a clean slate
+  return Object.assign(limiter, { reset: () => hits.clear() });
+};
+
+export default rateLimit;
@@ -0,0 +1,24 @@
+import type { RequestHandler } from 'express';
+
+// Log one entry per request once the response is sent: method, URL, status
+// and duration. Server errors are logged as errors and client errors as
+// warnings; everything else at info level.
+const requestLogger = (): RequestHandler => (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('Request completed', {
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.ip,
+      userId: req.user ? String(req.user._id) : undefined
+    });
+  });
+
+  next();
+};
+
+export default requestLogger;
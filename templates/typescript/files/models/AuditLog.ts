@@ -0,0 +1,53 @@
+import mongoose, { type Types } from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'login.success',
+  'login.failure',
+  'login.locked',
+  'account.unlocked'
+] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+export interface IAuditLog {
+  _id: Types.ObjectId;
+  action: AuditAction;
+  user?: Types.ObjectId;
+  email?: string;
+  actor?: Types.ObjectId;
+  reason?: string;
+  ip?: string;
+  userAgent?: string;
+  createdAt: Date;
+}
+
+// Security-relevant events, kept for 90 days
+const auditLogSchema = new mongoose.Schema<IAuditLog>({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Account concerned, when it exists
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Email as submitted, so attempts against unknown accounts are kept too
+  email: String,
+  // Admin who performed the action, if any
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model<IAuditLog>('AuditLog', auditLogSchema);
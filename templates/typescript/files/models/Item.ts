@@ -0,0 +1,56 @@
+import mongoose, { type HydratedDocument, type Types } from 'mongoose';
+
+export const ITEM_CATEGORIES = ['electronics', 'clothing', 'books', 'home', 'sports', 'other'] as const;
+
+export type ItemCategory = typeof ITEM_CATEGORIES[number];
+
+export interface IItem {
+  _id: Types.ObjectId;
+  name: string;
+  description?: string;
+  quantity: number;
+  price: number;
+  category: ItemCategory;
+  user: Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type ItemDocument = HydratedDocument<IItem>;
+
+const itemSchema = new mongoose.Schema<IItem>({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Please add quantity'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please add price'],
+    min: [0, 'Price cannot be negative']
+  },
+  category: {
+    type: String,
+    required: [true, 'Please add a category'],
+    enum: ITEM_CATEGORIES
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model<IItem>('Item', itemSchema);
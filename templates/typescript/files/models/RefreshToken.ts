@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import mongoose, { type HydratedDocument, type Model, type Types } from 'mongoose';
+
+export interface IRefreshToken {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  tokenHash: string;
+  family: string;
+  expiresAt: Date;
+  revokedAt?: Date | null;
+  replacedByHash?: string;
+  createdByIp?: string;
+  userAgent?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IRefreshTokenVirtuals {
+  isActive: boolean;
+}
+
+export type RefreshTokenDocument = HydratedDocument<IRefreshToken, IRefreshTokenVirtuals>;
+
+interface IssueOptions {
+  family?: string;
+  expiresInDays: number;
+  ip?: string;
+  userAgent?: string;
+}
+
+export interface RefreshTokenModel extends Model<IRefreshToken, {}, {}, IRefreshTokenVirtuals> {
+  hashToken(token: string): string;
+  issue(userId: Types.ObjectId, options: IssueOptions): Promise<{ token: string; doc: RefreshTokenDocument }>;
+  revokeFamily(family: string): Promise<unknown>;
+}
+
+const refreshTokenSchema = new mongoose.Schema<IRefreshToken, RefreshTokenModel, {}, {}, IRefreshTokenVirtuals>({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only a SHA-256 hash of the token is stored, never the token itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token issued by rotating the same login shares a family
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB delete expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.statics.hashToken = function(token: string) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create a new refresh token for a user. Returns the raw token (sent to the
+// client once, in a cookie) together with the stored document.
+refreshTokenSchema.statics.issue = async function(userId: Types.ObjectId, { family, expiresInDays, ip, userAgent }: IssueOptions) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+  return { token, doc };
+};
+
+// Revoke every token of a family, e.g. when a rotated token is reused
+refreshTokenSchema.statics.revokeFamily = function(family: string) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+export default mongoose.model<IRefreshToken, RefreshTokenModel>('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import mongoose, { type HydratedDocument, type Model, type Types } from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+// Account lockout: after MAX_LOGIN_ATTEMPTS failed logins in a row the
+// account is locked for LOCK_BASE_MINUTES, doubling with every further
+// failure (1, 2, 4, 8... minutes) up to LOCK_MAX_MINUTES
+export const MAX_LOGIN_ATTEMPTS = 5;
+export const LOCK_BASE_MINUTES = 1;
+export const LOCK_MAX_MINUTES = 24 * 60;
+
+export const ROLES = ['user', 'admin'] as const;
+
+export type Role = typeof ROLES[number];
+
+export interface IUser {
+  _id: Types.ObjectId;
+  name: string;
+  email: string;
+  password: string;
+  role: Role;
+  isActive: boolean;
+  isEmailVerified: boolean;
+  emailVerificationToken?: string;
+  emailVerificationExpire?: Date;
+  resetPasswordToken?: string;
+  resetPasswordExpire?: Date;
+  failedLoginAttempts: number;
+  lockUntil?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IUserMethods {
+  comparePassword(enteredPassword: string): Promise<boolean>;
+  registerFailedLogin(): Promise<void>;
+  resetLoginAttempts(): Promise<void>;
+  createPasswordResetToken(): string;
+  createEmailVerificationToken(): string;
+}
+
+export interface IUserVirtuals {
+  isLocked: boolean;
+}
+
+export interface UserModel extends Model<IUser, {}, IUserMethods, IUserVirtuals> {
+  hashToken(token: string): string;
+}
+
+export type UserDocument = HydratedDocument<IUser, IUserMethods & IUserVirtuals>;
+
+const userSchema = new mongoose.Schema<IUser, UserModel, IUserMethods, {}, IUserVirtuals>({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    unique: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  password: {
+    type: String,
+    required: [true, 'Please add a password'],
+    minlength: 6,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens are stored hashed, like passwords
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Brute-force protection, see registerFailedLogin
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Hash password before saving (only when it changed, so saving other
+// fields never re-hashes the stored hash)
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) {
+    return;
+  }
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+// Compare password method
+userSchema.methods.comparePassword = async function(enteredPassword: string) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// True while a lockout is in effect
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+});
+
+// Count a failed login and lock the account once MAX_LOGIN_ATTEMPTS is
+// reached. The counter is incremented atomically so parallel attempts are
+// all counted. Needs failedLoginAttempts selected.
+userSchema.methods.registerFailedLogin = async function() {
+  const { failedLoginAttempts } = (await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { returnDocument: 'after', projection: { failedLoginAttempts: 1 } }
+  ))!;
+  this.failedLoginAttempts = failedLoginAttempts;
+
+  const excess = failedLoginAttempts - MAX_LOGIN_ATTEMPTS;
+  if (excess >= 0) {
+    const minutes = Math.min(LOCK_BASE_MINUTES * 2 ** excess, LOCK_MAX_MINUTES);
+    this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await User.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  }
+};
+
+// Clear the failure counter and any lock (successful login, password reset,
+// admin unlock)
+userSchema.methods.resetLoginAttempts = async function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await User.updateOne({ _id: this._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+};
+
+// Hash a single-use token the same way it is stored
+userSchema.statics.hashToken = function(token: string) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token valid for 10 minutes. Returns the raw
+// token for the email; only its hash is kept on the user.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = User.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + 10 * 60 * 1000);
+  return token;
+};
+
+// Generate an email verification token valid for 24 hours
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = User.hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+const User = mongoose.model<IUser, UserModel>('User', userSchema);
+
+export default User;
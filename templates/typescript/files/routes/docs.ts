@@ -0,0 +1,54 @@
+import path from 'path';
+import { createRequire } from 'module';
+import express from 'express';
+import { buildOpenApiSpec, type JsonObject } from '../docs/openapi.js';
+
+const require = createRequire(import.meta.url);
+
+// Swagger UI files, served from node_modules: the docs work offline
+const SWAGGER_UI_DIR = path.dirname(require.resolve('swagger-ui-dist/package.json'));
+
+// Replaces the initializer of swagger-ui-dist, which loads the Petstore example
+const INITIALIZER = `window.onload = () => {
+  window.ui = SwaggerUIBundle({
+    url: './openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'BaseLayout'
+  });
+};
+`;
+
+// The rest of the API only serves JSON and forbids every resource; the UI
+// needs its own scripts, styles and images
+const DOCS_CSP = "default-src 'self'; img-src 'self' data:; style-src 'self' 'unsafe-inline'; frame-ancestors 'none'";
+
+const router = express.Router();
+
+let spec: JsonObject | undefined;
+
+router.use((req, res, next) => {
+  res.set('Content-Security-Policy', DOCS_CSP);
+  next();
+});
+
+// Relative asset URLs need the trailing slash: /api/docs -> /api/docs/
+router.get('/', (req, res, next) => {
+  const [pathname, query] = req.originalUrl.split('?');
+  if (pathname.endsWith('/')) return next();
+  res.redirect(301, `${pathname}/${query === undefined ? '' : `?${query}`}`);
+});
+
+router.get('/openapi.json', (req, res) => {
+  spec = spec || buildOpenApiSpec();
+  res.json(spec);
+});
+
+router.get('/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(INITIALIZER);
+});
+
+router.use(express.static(SWAGGER_UI_DIR, { index: 'index.html' }));
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getItems,
+  getItem,
+  createItem,
+  updateItem,
+  deleteItem
+} from '../controllers/itemController.js';
+import Item from '../models/Item.js';
+import { protect } from '../middlewares/authMiddleware.js';
+import advancedResults from '../middlewares/advancedResults.js';
+import validate from '../middlewares/validate.js';
+import { itemRules } from '../validators/itemValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // Protect all routes
+
+router.route('/')
+  .get(advancedResults(Item, {
+    scope: (req) => ({ user: req.user!.id }),
+    populate: { path: 'user', select: 'name email' },
+    searchFields: ['name', 'description']
+  }), getItems)
+  .post(validate(itemRules), createItem);
+router.route('/:id')
+  .get(getItem)
+  .put(validate(itemRules, { partial: true }), updateItem)
+  .delete(deleteItem);
+
+export default router;
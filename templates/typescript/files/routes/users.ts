@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getUsers,
+  getUser,
+  updateUserRole,
+  deactivateUser,
+  activateUser,
+  unlockUser,
+  getUserAudit,
+  deleteUser
+} from '../controllers/userController.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import advancedResults from '../middlewares/advancedResults.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin')); // Admins only
+
+router.route('/').get(advancedResults(User, { searchFields: ['name', 'email'] }), getUsers);
+router.route('/:id').get(getUser).delete(deleteUser);
+router.put('/:id/role', updateUserRole);
+router.put('/:id/deactivate', deactivateUser);
+router.put('/:id/activate', activateUser);
+router.put('/:id/unlock', unlockUser);
+router.get('/:id/audit', advancedResults(AuditLog, { scope: (req) => ({ user: req.params.id }) }), getUserAudit);
+
+export default router;
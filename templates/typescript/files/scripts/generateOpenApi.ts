@@ -0,0 +1,7 @@
+// Write openapi.json for API clients and code generators: npm run docs
+// Run it again after changing models, validators or routes.
+import { writeFileSync } from 'fs';
+import { buildOpenApiSpec } from '../docs/openapi.js';
+
+writeFileSync(new URL('../openapi.json', import.meta.url), `${JSON.stringify(buildOpenApiSpec(), null, 2)}\n`);
+console.log('✅ Wrote openapi.json');
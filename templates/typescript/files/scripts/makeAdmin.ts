@@ -0,0 +1,20 @@
+// Promote an existing user to admin: npm run make-admin -- user@example.com
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import User from '../models/User.js';
+
+const email = process.argv[2];
+if (!email) {
+  console.error('Usage: npm run make-admin -- <email>');
+  process.exit(1);
+}
+
+await mongoose.connect(config.mongoUri);
+const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { returnDocument: 'after' });
+await mongoose.disconnect();
+
+if (!user) {
+  console.error(`❌ No user with email ${email}`);
+  process.exit(1);
+}
+console.log(`✅ ${user.email} is now an admin`);
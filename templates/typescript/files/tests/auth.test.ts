@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestApp } from './helpers.js';
+import type { FieldError } from '../utils/ApiError.js';
+
+describe('auth', () => {
+  const ctx = setupTestApp();
+
+  describe('POST /api/auth/register', () => {
+{{#if refreshTokens}}
+    test('creates a user, returns an access token and sets the refresh cookie', async () => {
+{{else}}
+    test('creates a user and returns an access token', async () => {
+{{/if}}
+      const res = await ctx.request('POST', '/api/auth/register', {
+        body: { name: 'Ann', email: 'ann@example.com', password: 'password123' }
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.data.email, 'ann@example.com');
+      assert.equal(res.body.data.role, 'user');
+      assert.equal(res.body.data.isEmailVerified, false);
+      assert.ok(res.body.data.token);
+      assert.equal(res.body.data.password, undefined);
+{{#if refreshTokens}}
+      assert.match(res.headers.get('set-cookie') ?? '', /refreshToken=.+HttpOnly/i);
+{{else}}
+      assert.equal(res.headers.get('set-cookie'), null);
+{{/if}}
+      assert.equal(ctx.mail.length, 1, 'a verification email is sent');
+    });
+
+    test('ignores a role sent by the client', async () => {
+      const res = await ctx.request('POST', '/api/auth/register', {
+        body: { name: 'Eve', email: 'eve@example.com', password: 'password123', role: 'admin' }
+      });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.role, 'user');
+    });
+
+    test('rejects a duplicate email with 409', async () => {
+      await ctx.registerUser({ email: 'dup@example.com' });
+      const res = await ctx.request('POST', '/api/auth/register', {
+        body: { name: 'Dup', email: 'dup@example.com', password: 'password123' }
+      });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.detail, 'User already exists');
+    });
+
+    test('answers 422 listing every invalid field', async () => {
+      const res = await ctx.request('POST', '/api/auth/register', {
+        body: { email: 'not-an-email', password: '123' }
+      });
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.errors.map((error: FieldError) => error.field), ['name', 'email', 'password']);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    test('logs in with the right password', async () => {
+      await ctx.registerUser({ email: 'bob@example.com' });
+      const res = await ctx.request('POST', '/api/auth/login', {
+        body: { email: 'bob@example.com', password: 'password123' }
+      });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.token);
+    });
+
+    test('rejects a wrong password and an unknown email the same way', async () => {
+      await ctx.registerUser({ email: 'bob@example.com' });
+      const wrongPassword = await ctx.request('POST', '/api/auth/login', {
+        body: { email: 'bob@example.com', password: 'wrong-password' }
+      });
+      const unknownEmail = await ctx.request('POST', '/api/auth/login', {
+        body: { email: 'nobody@example.com', password: 'password123' }
+      });
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(unknownEmail.status, 401);
+      assert.equal(wrongPassword.body.detail, unknownEmail.body.detail);
+    });
+
+    test('locks the account after repeated failures', async () => {
+      await ctx.registerUser({ email: 'bob@example.com' });
+      for (let i = 0; i < 5; i++) {
+        await ctx.request('POST', '/api/auth/login', { body: { email: 'bob@example.com', password: 'wrong-password' } });
+      }
+      const res = await ctx.request('POST', '/api/auth/login', {
+        body: { email: 'bob@example.com', password: 'password123' }
+      });
+      assert.equal(res.status, 423);
+      assert.ok(Number(res.headers.get('retry-after')) > 0);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    test('returns the logged in user', async () => {
+      const { token } = await ctx.registerUser({ email: 'me@example.com' });
+      const res = await ctx.request('GET', '/api/auth/me', { token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.email, 'me@example.com');
+    });
+
+    test('requires a token', async () => {
+      const res = await ctx.request('GET', '/api/auth/me');
+      assert.equal(res.status, 401);
+    });
+
+    test('rejects an invalid token', async () => {
+      const res = await ctx.request('GET', '/api/auth/me', { token: 'not-a-jwt' });
+      assert.equal(res.status, 401);
+    });
+  });
+{{#unless refreshTokens}}
+
+  describe('without refresh tokens', () => {
+    test('has no refresh or logout route', async () => {
+      for (const path of ['/api/auth/refresh', '/api/auth/logout']) {
+        const res = await ctx.request('POST', path);
+        assert.equal(res.status, 404, path);
+      }
+    });
+  });
+{{/unless}}
+});
@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers.js';
+
+describe('error responses', () => {
+  const ctx = setupTestApp();
+
+  test('unknown routes answer 404 with problem details', async () => {
+    const res = await ctx.request('GET', '/api/nope', { headers: { 'X-Request-Id': 'req-42' } });
+    assert.equal(res.status, 404);
+    assert.match(res.headers.get('content-type') ?? '', /application\/problem\+json/);
+    assert.deepEqual(res.body, {
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Route not found: GET /api/nope',
+      instance: '/api/nope',
+      success: false,
+      requestId: 'req-42'
+    });
+  });
+
+  test('hides stack traces outside development', async () => {
+    const res = await ctx.request('GET', '/api/nope');
+    assert.equal(res.body.stack, undefined);
+  });
+
+{{#if items}}
+  test('an invalid ObjectId is a 404', async () => {
+    const { token } = await ctx.registerUser();
+    const res = await ctx.request('GET', '/api/items/not-an-id', { token });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.title, 'Not Found');
+  });
+
+{{/if}}
+  test('malformed JSON is a 400', async () => {
+    const malformed = await fetch(`${ctx.baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"email":'
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).status, 400);
+  });
+
+  test('maps JWT errors to 401 and reports expired tokens', async () => {
+    const { user } = await ctx.registerUser();
+    const expired = jwt.sign({ id: user._id, type: 'access' }, process.env.JWT_SECRET!, { expiresIn: -10 });
+    const res = await ctx.request('GET', '/api/auth/me', { token: expired });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.detail, 'Access token expired');
+
+    const invalid = await ctx.request('GET', '/api/auth/me', { token: 'not-a-jwt' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.detail, 'Not authorized to access this route');
+  });
+
+  test('validation errors list every field', async () => {
+    const res = await ctx.request('POST', '/api/auth/register', { body: {} });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.detail, 'Validation failed');
+    assert.ok(res.body.errors.length > 0);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestApp } from './helpers.js';
+
+describe('health probes', () => {
+  const ctx = setupTestApp();
+
+  test('liveness reports the process', async () => {
+    const res = await ctx.request('GET', '/health/live');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'pass');
+    assert.equal(typeof res.body.version, 'string');
+    assert.ok(res.body.uptime >= 0);
+    assert.ok(res.body.memoryMb.rss > 0);
+  });
+
+  test('readiness pings MongoDB', async () => {
+    const res = await ctx.request('GET', '/health/ready');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'pass');
+    assert.equal(res.body.checks.mongodb.status, 'pass');
+    assert.equal(res.body.checks.mongodb.state, 'connected');
+    assert.equal(typeof res.body.checks.mongodb.latencyMs, 'number');
+
+    const health = await ctx.request('GET', '/health');
+    assert.equal(health.status, 200);
+  });
+
+  test('readiness fails with 503 once shutdown has started', async () => {
+    ctx.app.locals.shuttingDown = true;
+    try {
+      const res = await ctx.request('GET', '/health/ready');
+      assert.equal(res.status, 503);
+      assert.equal(res.body.status, 'fail');
+
+      const live = await ctx.request('GET', '/health/live');
+      assert.equal(live.status, 200);
+    } finally {
+      ctx.app.locals.shuttingDown = false;
+    }
+  });
+});
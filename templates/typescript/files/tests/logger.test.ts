@@ -0,0 +1,93 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import type { Server, AddressInfo } from 'net';
+import express from 'express';
+import './helpers.js'; // test environment, set before config/env.ts loads
+import { createLogger } from '../utils/logger.js';
+import type { LogLevel } from '../config/env.js';
+import requestId from '../middlewares/requestId.js';
+
+// A stream that keeps every written line
+const memoryStream = () => {
+  const lines: string[] = [];
+  return { lines, write: (chunk: string) => lines.push(...chunk.trimEnd().split('\n')) };
+};
+
+describe('logger', () => {
+  test('writes JSON lines at or above its level', () => {
+    const stream = memoryStream();
+    const logger = createLogger({ level: 'info', format: 'json', stream });
+    logger.debug('hidden');
+    logger.info('User registered', { userId: 'u1' });
+    logger.error('Failed', { err: new Error('boom') });
+
+    assert.equal(stream.lines.length, 2);
+    const info = JSON.parse(stream.lines[0]);
+    assert.equal(info.level, 'info');
+    assert.equal(info.msg, 'User registered');
+    assert.equal(info.userId, 'u1');
+    assert.ok(Date.parse(info.time));
+
+    const error = JSON.parse(stream.lines[1]);
+    assert.equal(error.err.message, 'boom');
+    assert.match(error.err.stack, /Error: boom/);
+  });
+
+  test('child loggers add their bindings to every entry', () => {
+    const stream = memoryStream();
+    const child = createLogger({ level: 'debug', stream }).child({ requestId: 'abc' });
+    child.debug('Hello', { n: 1 });
+    assert.deepEqual({ ...JSON.parse(stream.lines[0]), time: undefined }, {
+      level: 'debug', time: undefined, msg: 'Hello', requestId: 'abc', n: 1
+    });
+  });
+
+  test('pretty format prints one readable line with fields', () => {
+    const stream = memoryStream();
+    createLogger({ level: 'info', format: 'pretty', stream }).warn('Slow request', { url: '/api/items', durationMs: 812 });
+    assert.match(stream.lines[0], /WARN +Slow request url=\/api\/items durationMs=812$/);
+  });
+
+  test('silent writes nothing and unknown levels are rejected', () => {
+    const stream = memoryStream();
+    createLogger({ level: 'silent', stream }).error('nothing');
+    assert.equal(stream.lines.length, 0);
+    assert.throws(() => createLogger({ level: 'verbose' as LogLevel }), /Unknown log level/);
+  });
+});
+
+describe('request ID middleware', () => {
+  let server: Server;
+  let baseUrl: string;
+
+  before(async () => {
+    const app = express();
+    app.use(requestId());
+    app.get('/id', (req, res) => res.json({ id: req.id, hasLogger: typeof req.log.info === 'function' }));
+    server = await new Promise<Server>((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  after(() => server.close());
+
+  test('generates an ID and returns it in X-Request-Id', async () => {
+    const res = await fetch(`${baseUrl}/id`);
+    const body = await res.json();
+    assert.match(body.id, /^[0-9a-f-]{36}$/);
+    assert.equal(res.headers.get('x-request-id'), body.id);
+    assert.equal(body.hasLogger, true);
+  });
+
+  test('propagates a valid incoming X-Request-Id', async () => {
+    const res = await fetch(`${baseUrl}/id`, { headers: { 'X-Request-Id': 'lb-1234.abc' } });
+    assert.equal((await res.json()).id, 'lb-1234.abc');
+    assert.equal(res.headers.get('x-request-id'), 'lb-1234.abc');
+  });
+
+  test('replaces an incoming ID that is not safe to log', async () => {
+    const res = await fetch(`${baseUrl}/id`, { headers: { 'X-Request-Id': 'bad id "with" spaces' } });
+    assert.notEqual((await res.json()).id, 'bad id "with" spaces');
+  });
+});
@@ -0,0 +1,30 @@
+import type { Request } from 'express';
+import type { Logger } from '../utils/logger.js';
+import type { UserDocument } from '../models/User.js';
+import type { AdvancedResults } from '../middlewares/advancedResults.js';
+
+// Properties the middleware adds to every Express request
+declare global {
+  namespace Express {
+    interface Request {
+      // Set by middlewares/requestId.ts
+      id: string;
+      log: Logger;
+      // Set by protect() in middlewares/authMiddleware.ts
+      user?: UserDocument;
+    }
+
+    interface Response {
+      // Set by advancedResults() for the list handler that follows it
+      advancedResults?: AdvancedResults;
+    }
+  }
+}
+
+// A request that passed protect(): req.user is always set. Use it as the
+// request type of handlers mounted behind protect:
+//
+//   asyncHandler<AuthenticatedRequest>(async (req, res) => { req.user.name });
+export interface AuthenticatedRequest extends Request {
+  user: UserDocument;
+}
@@ -0,0 +1,27 @@
+import type { Request } from 'express';
+import type { Types } from 'mongoose';
+import AuditLog, { type AuditAction } from '../models/AuditLog.js';
+
+interface AuditDetails {
+  user?: { _id: Types.ObjectId; email?: string } | null;
+  email?: string;
+  reason?: string;
+}
+
+// Record an audit entry for the request. Failing to write it is logged but
+// never fails the request itself.
+export const recordAudit = async (req: Request, action: AuditAction, { user, email, reason }: AuditDetails = {}) => {
+  try {
+    await AuditLog.create({
+      action,
+      user: user ? user._id : undefined,
+      email: email || (user ? user.email : undefined),
+      actor: req.user ? req.user._id : undefined,
+      reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    req.log.error('Could not record audit entry', { action, err: error });
+  }
+};
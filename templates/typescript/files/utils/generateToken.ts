@@ -0,0 +1,17 @@
+import jwt, { type SignOptions } from 'jsonwebtoken';
+import type { Types } from 'mongoose';
+import config from '../config/env.js';
+
+// Payload of an access token
+export interface AccessTokenPayload {
+  id: string;
+  type: 'access';
+}
+
+// Access token sent as `Authorization: Bearer <token>`, valid for JWT_ACCESS_EXPIRE
+export const generateToken = (id: Types.ObjectId | string): string => {
+  const payload: AccessTokenPayload = { id: String(id), type: 'access' };
+  return jwt.sign(payload, config.jwt.secret, {
+    expiresIn: config.jwt.accessExpire as SignOptions['expiresIn']
+  });
+};
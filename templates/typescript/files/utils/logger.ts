@@ -0,0 +1,101 @@
+import config, { type LogFormat, type LogLevel } from '../config/env.js';
+
+// Severity of each level; a logger writes entries at or above its level
+export const LEVELS: Record<LogLevel, number> = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+type EntryLevel = Exclude<LogLevel, 'silent'>;
+type Fields = Record<string, unknown>;
+
+export interface Logger {
+  level: LogLevel;
+  debug(msg: string, fields?: Fields): void;
+  info(msg: string, fields?: Fields): void;
+  warn(msg: string, fields?: Fields): void;
+  error(msg: string, fields?: Fields): void;
+  child(extra: Fields): Logger;
+}
+
+interface LoggerOptions {
+  level?: LogLevel;
+  format?: LogFormat;
+  stream?: { write(chunk: string): unknown; isTTY?: boolean };
+  bindings?: Fields;
+}
+
+const COLORS: Record<EntryLevel, string> = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+// Error objects do not survive JSON.stringify, so log their useful parts
+const serialize = (value: unknown): unknown => {
+  if (value instanceof Error) {
+    const { code } = value as Error & { code?: unknown };
+    return {
+      name: value.name,
+      message: value.message,
+      ...(code === undefined ? {} : { code }),
+      stack: value.stack
+    };
+  }
+  return value;
+};
+
+const formatJson = (entry: Fields) => JSON.stringify(entry, (key, value) => serialize(value));
+
+// One line per entry with key=value fields. Multi-line values (email
+// bodies, stack traces) are printed indented below it.
+const formatPretty = ({ level, time, msg, ...fields }: { level: EntryLevel; time: string; msg: string } & Fields, colors: boolean) => {
+  const inline: string[] = [];
+  const blocks: string[] = [];
+  for (const [key, raw] of Object.entries(fields)) {
+    if (raw === undefined) continue;
+    const value = serialize(raw);
+    if (value && typeof value === 'object' && 'stack' in value && typeof value.stack === 'string') {
+      blocks.push(value.stack);
+    } else if (typeof value === 'string' && value.includes('\n')) {
+      blocks.push(value);
+    } else {
+      inline.push(`${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+    }
+  }
+
+  const label = level.toUpperCase().padEnd(5);
+  const head = [time.slice(11, 23), colors ? `${COLORS[level]}${label}${RESET}` : label, msg, ...inline].join(' ');
+  return [head, ...blocks.map(block => block.replace(/^/gm, '    '))].join('\n');
+};
+
+// Create a logger writing to `stream`:
+//
+//   logger.info('User registered', { userId });
+//   logger.error('Could not send email', { err });
+//   const log = logger.child({ requestId }); // every entry carries requestId
+export const createLogger = ({
+  level = 'info',
+  format = 'json',
+  stream = process.stdout,
+  bindings = {}
+}: LoggerOptions = {}): Logger => {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+  const threshold = LEVELS[level];
+  const colors = format === 'pretty' && Boolean(stream.isTTY);
+
+  const write = (entryLevel: EntryLevel, msg: string, fields?: Fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { level: entryLevel, time: new Date().toISOString(), msg, ...bindings, ...fields };
+    stream.write(`${format === 'pretty' ? formatPretty(entry, colors) : formatJson(entry)}\n`);
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (extra) => createLogger({ level, format, stream, bindings: { ...bindings, ...extra } })
+  };
+};
+
+// The application logger. LOG_LEVEL and LOG_FORMAT come from config/env.ts;
+// use req.log inside requests so entries carry the request ID.
+const logger = createLogger({ level: config.log.level, format: config.log.format });
+
+export default logger;
@@ -0,0 +1,38 @@
+import type { CookieOptions, Request, Response } from 'express';
+import type { Types } from 'mongoose';
+import RefreshToken, { type RefreshTokenDocument } from '../models/RefreshToken.js';
+import config from '../config/env.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+// The refresh token lives in an httpOnly cookie scoped to the auth routes,
+// so it is never readable from JavaScript and only sent where it is needed
+const cookieOptions = (): CookieOptions => ({
+  httpOnly: true,
+  secure: config.isProduction,
+  sameSite: 'strict',
+  path: '/api/auth'
+});
+
+export const setRefreshCookie = (res: Response, token: string) => {
+  res.cookie(REFRESH_COOKIE, token, {
+    ...cookieOptions(),
+    maxAge: config.jwt.refreshExpireDays * 24 * 60 * 60 * 1000
+  });
+};
+
+export const clearRefreshCookie = (res: Response) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+// Issue a refresh token for the request's user and set the cookie
+export const issueRefreshToken = async (req: Request, res: Response, userId: Types.ObjectId, family?: string): Promise<RefreshTokenDocument> => {
+  const { token, doc } = await RefreshToken.issue(userId, {
+    family,
+    expiresInDays: config.jwt.refreshExpireDays,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  setRefreshCookie(res, token);
+  return doc;
+};
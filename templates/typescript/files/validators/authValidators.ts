@@ -0,0 +1,36 @@
+import type { Rules } from '../middlewares/validate.js';
+
+// Request body rules for the auth routes (see middlewares/validate.ts).
+// `role`, `isActive` and the verification/reset fields are never listed, so
+// clients cannot set them.
+
+const PASSWORD_MIN_LENGTH = 6;
+
+export const registerRules: Rules = {
+  name: { type: 'string', required: true, trim: true, maxLength: 50 },
+  email: { type: 'email', required: true },
+  password: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH }
+};
+
+export const loginRules: Rules = {
+  email: { type: 'email', required: true },
+  password: { type: 'string', required: true }
+};
+
+export const forgotPasswordRules: Rules = {
+  email: { type: 'email', required: true }
+};
+
+export const resetPasswordRules: Rules = {
+  password: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH }
+};
+
+export const updateMeRules: Rules = {
+  name: { type: 'string', required: true, trim: true, maxLength: 50 },
+  email: { type: 'email', required: true }
+};
+
+export const updatePasswordRules: Rules = {
+  currentPassword: { type: 'string', required: true },
+  newPassword: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH }
+};
@@ -0,0 +1,99 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { runAdd } from '../lib/add.js';
+import { tempDir, generateInto, checkSyntax, quietly } from './helpers.js';
+import { serializeFiles, matchSnapshot } from './snapshot.js';
+
+const RESOURCE_FILES = [
+  'models/Product.js',
+  'controllers/productController.js',
+  'validators/productValidators.js',
+  'routes/products.js',
+  'tests/products.test.js'
+];
+
+// Existing files add resource changes
+const UPDATED_FILES = ['app.js', 'docs/resources.js'];
+
+describe('add resource', () => {
+  let cleanup;
+  let projectDir;
+
+  before(async () => {
+    let dir;
+    ({ dir, cleanup } = await tempDir());
+    projectDir = await generateInto(dir);
+
+    await quietly(() => runAdd([
+      'resource', 'Product',
+      '--fields', 'name:string:required:trim:maxlength=80,price:number:min=0,status:string:enum=draft|live,tags:string[],owner:objectid:ref=User'
+    ], projectDir));
+  });
+
+  after(() => cleanup());
+
+  test('matches the snapshot', async () => {
+    const files = await Promise.all([...RESOURCE_FILES, ...UPDATED_FILES].map(async file => ({
+      path: file,
+      content: await fs.readFile(path.join(projectDir, file), 'utf-8')
+    })));
+    await matchSnapshot('add-resource', serializeFiles(files));
+  });
+
+  test('generated files parse', () => {
+    for (const file of [...RESOURCE_FILES, ...UPDATED_FILES]) {
+      assert.equal(checkSyntax(path.join(projectDir, file)), '', `${file} does not parse`);
+    }
+  });
+
+  test('mounts the router and registers the docs once, even when run twice', async () => {
+    await quietly(() => runAdd(['resource', 'Product', '--fields', 'name:string', '--on-conflict', 'skip'], projectDir));
+    const app = await fs.readFile(path.join(projectDir, 'app.js'), 'utf-8');
+    assert.equal(app.split("app.use('/api/products', products);").length - 1, 1);
+    const docs = await fs.readFile(path.join(projectDir, 'docs', 'resources.js'), 'utf-8');
+    assert.equal(docs.split("{ model: Product, path: '/api/products'").length - 1, 1);
+  });
+
+  test('writes .ts files in a TypeScript project', async () => {
+    const { dir, cleanup: cleanupTs } = await tempDir();
+    try {
+      const tsProject = await generateInto(dir, ['--typescript']);
+      await quietly(() => runAdd(['resource', 'Product', '--fields', 'name:string:required,status:string:enum=draft|live'], tsProject));
+
+      for (const file of RESOURCE_FILES.map(file => file.replace(/\.js$/, '.ts'))) {
+        assert.ok(await fs.pathExists(path.join(tsProject, file)), `${file} is missing`);
+      }
+      assert.ok(!(await fs.pathExists(path.join(tsProject, 'models', 'Product.js'))));
+      const model = await fs.readFile(path.join(tsProject, 'models', 'Product.ts'), 'utf-8');
+      assert.match(model, /^  name: string;$/m);
+      assert.match(model, /^  status\?: 'draft' \| 'live';$/m);
+      assert.match(await fs.readFile(path.join(tsProject, 'app.ts'), 'utf-8'), /app\.use\('\/api\/products', products\);/);
+      assert.match(await fs.readFile(path.join(tsProject, 'docs', 'resources.ts'), 'utf-8'), /\{ model: Product, path: '\/api\/products'/);
+    } finally {
+      await cleanupTs();
+    }
+  });
+
+  test('fills the empty resource list of a project without items or tests', async () => {
+    const { dir, cleanup: cleanupBare } = await tempDir();
+    try {
+      const bareProject = await generateInto(dir, ['--no-items', '--no-tests']);
+      await quietly(() => runAdd(['resource', 'Product', '--fields', 'name:string:required'], bareProject));
+
+      const docs = await fs.readFile(path.join(bareProject, 'docs', 'resources.js'), 'utf-8');
+      assert.match(docs, /^import Product from '\.\.\/models\/Product\.js';$/m);
+      assert.match(docs, /^const resources = \[\n  \{ model: Product, path: '\/api\/products'.*\n\];$/m);
+      assert.equal(checkSyntax(path.join(bareProject, 'docs', 'resources.js')), '');
+      assert.ok(await fs.pathExists(path.join(bareProject, 'routes', 'products.js')));
+      assert.ok(!(await fs.pathExists(path.join(bareProject, 'tests'))), 'no test file without --tests');
+    } finally {
+      await cleanupBare();
+    }
+  });
+
+  test('refuses to run outside a generated project', async () => {
+    await assert.rejects(runAdd(['resource', 'Product', '--fields', 'name:string'], path.dirname(projectDir)), /No server\.js or server\.ts found/);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { spawn, execSync } from 'child_process';
+import { DryMongoBinary } from 'mongodb-memory-server';
+import { tempDir, generateInto } from './helpers.js';
+
+// Booting needs a MongoDB binary: MONGOMS_SYSTEM_BINARY or one downloaded
+// earlier by mongodb-memory-server. Without one the suite is skipped, unless
+// MERN_SETUP_BOOT_TEST=1 asks to download it.
+const mongoBinary = await DryMongoBinary.locateBinary(DryMongoBinary.getEnsuredOptions());
+const enabled = Boolean(mongoBinary || process.env.MERN_SETUP_BOOT_TEST);
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer().listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+  server.on('error', reject);
+});
+
+// Poll a URL until it answers or the deadline passes
+const waitFor = async (url, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      return await fetch(url);
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+  throw new Error(`${url} did not answer within ${timeoutMs} ms`);
+};
+
+describe('generated project boots', { skip: !enabled && 'no MongoDB binary: set MONGOMS_SYSTEM_BINARY, or MERN_SETUP_BOOT_TEST=1 to download one' }, () => {
+  let cleanup;
+  let projectDir;
+  let mongod;
+  let child;
+  let output = '';
+
+  before(async () => {
+    let dir;
+    ({ dir, cleanup } = await tempDir());
+    projectDir = await generateInto(dir);
+    execSync('npm install --no-audit --no-fund', { cwd: projectDir, stdio: 'ignore' });
+
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    mongod = await MongoMemoryServer.create();
+  });
+
+  after(async () => {
+    if (child && child.exitCode === null) child.kill();
+    if (mongod) await mongod.stop();
+    if (cleanup) await cleanup();
+  });
+
+  test('server.js connects to MongoDB and serves /health and /health/ready', { timeout: 60000 }, async () => {
+    const port = await freePort();
+    child = spawn(process.execPath, ['server.js'], {
+      cwd: projectDir,
+      env: { ...process.env, PORT: String(port), MONGO_URI: mongod.getUri('app'), NODE_ENV: 'test', LOG_LEVEL: 'info' }
+    });
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const res = await waitFor(`http://127.0.0.1:${port}/health`, 30000);
+    assert.equal(res.status, 200, output);
+    assert.equal((await res.json()).success, true);
+
+    const ready = await fetch(`http://127.0.0.1:${port}/health/ready`);
+    assert.equal(ready.status, 200, output);
+    assert.equal((await ready.json()).checks.mongodb.status, 'pass');
+  });
+
+  test('server.js exits cleanly on SIGTERM', { timeout: 30000 }, async () => {
+    assert.ok(child && child.exitCode === null, 'server is not running');
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGTERM');
+    assert.equal(await exited, 0, output);
+    assert.match(output, /Connections closed/);
+  });
+});
@@ -0,0 +1,247 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { planProject } from '../lib/generate.js';
+import { loadConfigFile } from '../lib/options.js';
+import { VERSIONS_FILE } from '../lib/packages.js';
+import { optionsFor, planFor, tempDir, generateInto, listJsFiles, checkSyntax } from './helpers.js';
+import { serializeFiles, matchSnapshot } from './snapshot.js';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+const NODE_MODULES = fileURLToPath(new URL('../node_modules', import.meta.url));
+
+// The `environment:` entries of the api service in a generated docker-compose.yml
+const composeEnvironment = (compose) => {
+  const [, block] = compose.match(/^    environment:\n((?:      .*\n)+)/m);
+  return Object.fromEntries(block.split('\n')
+    .map(line => line.match(/^ +(\w+): (.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value]));
+};
+
+describe('generated project', () => {
+  test('matches the snapshot of the default template', async () => {
+    const { files } = await planFor(['api']);
+    await matchSnapshot('default', serializeFiles(files));
+  });
+
+  test('matches the snapshot without the security middleware', async () => {
+    const { files } = await planFor(['api', '--no-security']);
+    await matchSnapshot('no-security', serializeFiles(files));
+  });
+
+  test('matches the snapshot of the TypeScript output', async () => {
+    const { files } = await planFor(['api', '--typescript']);
+    await matchSnapshot('typescript', serializeFiles(files));
+  });
+
+  test('--typescript replaces every JavaScript file and builds to dist/', async () => {
+    const { files } = await planFor(['api', '--typescript']);
+    const paths = files.map(file => file.path);
+    assert.deepEqual(paths.filter(file => file.endsWith('.js')), []);
+    for (const file of ['server.ts', 'app.ts', 'models/User.ts', 'types/express.d.ts', 'tsconfig.json', 'tests/items.test.ts']) {
+      assert.ok(paths.includes(file), `${file} is missing`);
+    }
+
+    const packageJson = JSON.parse(files.find(file => file.path === 'package.json').content);
+    assert.equal(packageJson.main, 'dist/server.js');
+    assert.equal(packageJson.scripts.start, 'node dist/server.js');
+    assert.equal(packageJson.scripts.build, 'tsc -p tsconfig.build.json');
+    assert.ok(packageJson.devDependencies.typescript);
+    assert.ok(packageJson.devDependencies['@types/express']);
+  });
+
+  test('--typescript without the security middleware drops its .ts files', async () => {
+    const { files } = await planFor(['api', '--typescript', '--no-security']);
+    const paths = files.map(file => file.path);
+    assert.ok(!paths.includes('middlewares/rateLimit.ts'));
+    assert.ok(!paths.includes('tests/security.test.ts'));
+  });
+
+  test('matches the snapshot with every optional feature switched off', async () => {
+    const { files } = await planFor(['api', '--no-items', '--no-docs', '--no-tests', '--no-request-logging', '--docker']);
+    await matchSnapshot('minimal', serializeFiles(files));
+  });
+
+  test('leaves out the files, scripts and packages of switched off features', async () => {
+    const { files } = await planFor(['api', '--no-items', '--no-docs', '--no-tests', '--no-request-logging']);
+    const paths = files.map(file => file.path);
+    for (const file of ['models/Item.js', 'routes/items.js', 'routes/docs.js', 'docs/openapi.js', 'scripts/generateOpenApi.js', 'middlewares/requestLogger.js', 'Dockerfile']) {
+      assert.ok(!paths.includes(file), `${file} should be left out`);
+    }
+    assert.deepEqual(paths.filter(file => file.startsWith('tests/')), []);
+
+    const app = files.find(file => file.path === 'app.js').content;
+    assert.doesNotMatch(app, /items|docs|requestLogger/);
+    const { scripts, dependencies, devDependencies } = JSON.parse(files.find(file => file.path === 'package.json').content);
+    assert.equal(scripts.docs, undefined);
+    assert.equal(scripts.test, undefined);
+    assert.equal(dependencies['swagger-ui-dist'], undefined);
+    assert.equal(devDependencies['mongodb-memory-server'], undefined);
+  });
+
+  test('--docker adds a Dockerfile and a Compose file with MongoDB', async () => {
+    const { files } = await planFor(['api', '--docker', '--typescript', '--port', '4000', '--db-name', 'shop']);
+    const content = (file) => files.find(entry => entry.path === file).content;
+    assert.ok(files.some(file => file.path === '.dockerignore'));
+    assert.match(content('Dockerfile'), /^CMD \["node", "dist\/server\.js"\]$/m);
+    assert.match(content('docker-compose.yml'), /MONGO_URI: mongodb:\/\/mongo:27017\/shop$/m);
+    assert.match(content('docker-compose.yml'), /- "4000:4000"/);
+  });
+
+  test('--auth jwt leaves out refresh tokens, their routes and cookies', async () => {
+    for (const argv of [['api', '--auth', 'jwt'], ['api', '--auth', 'jwt', '--typescript']]) {
+      const { files, typescript } = await planProject(await optionsFor(argv, os.tmpdir()), os.tmpdir());
+      const ext = typescript ? 'ts' : 'js';
+      const content = (file) => files.find(entry => entry.path === file).content;
+      const paths = files.map(file => file.path);
+      assert.ok(!paths.includes(`models/RefreshToken.${ext}`));
+      assert.ok(!paths.includes(`utils/refreshToken.${ext}`));
+      for (const file of [`app.${ext}`, `routes/auth.${ext}`, `controllers/authController.${ext}`, `controllers/userController.${ext}`, `config/env.${ext}`, `docs/openapi.${ext}`]) {
+        assert.doesNotMatch(content(file), /refreshToken|RefreshToken|REFRESH|cookie-parser/i, file);
+      }
+      assert.match(content('.env'), /^JWT_ACCESS_EXPIRE=1d$/m);
+      assert.equal(JSON.parse(content('mern-setup.config.json')).auth, 'jwt');
+      const { dependencies, devDependencies } = JSON.parse(content('package.json'));
+      assert.equal(dependencies['cookie-parser'], undefined);
+      assert.equal(devDependencies['@types/cookie-parser'], undefined);
+    }
+  });
+
+  test('records the chosen options in mern-setup.config.json', async () => {
+    const { files } = await planFor(['api', '--typescript', '--pm', 'pnpm', '--no-items', '--docker']);
+    const config = JSON.parse(files.find(file => file.path === 'mern-setup.config.json').content);
+    assert.deepEqual(config, {
+      typescript: true,
+      pm: 'pnpm',
+      auth: 'jwt-refresh',
+      security: true,
+      items: false,
+      docs: true,
+      tests: true,
+      requestLogging: true,
+      docker: true
+    });
+  });
+
+  test('pins every dependency to the versions shipped with the CLI', async () => {
+    const versions = await fs.readJson(VERSIONS_FILE);
+    const { files } = await planFor(['api', '--typescript']);
+    const { dependencies, devDependencies } = JSON.parse(files.find(file => file.path === 'package.json').content);
+    for (const [name, version] of Object.entries({ ...dependencies, ...devDependencies })) {
+      assert.equal(version, versions[name], `${name} is not pinned`);
+    }
+  });
+
+  test('uses the given options', async () => {
+    const { files } = await planFor(['shop-api', '--port', '4000', '--db-name', 'shop', '--client-url', 'http://localhost:5173']);
+    const env = files.find(file => file.path === '.env').content;
+    assert.match(env, /^PORT=4000$/m);
+    assert.match(env, /^MONGO_URI=mongodb:\/\/localhost:27017\/shop$/m);
+    assert.match(env, /^CLIENT_URL=http:\/\/localhost:5173$/m);
+    assert.equal(JSON.parse(files.find(file => file.path === 'package.json').content).name, 'shop-api');
+  });
+
+  test('gives every project its own JWT secret', async () => {
+    const secret = async () => {
+      const { files } = await planProject(await optionsFor(['api'], os.tmpdir()), os.tmpdir());
+      return files.find(file => file.path === '.env').content.match(/^JWT_SECRET=(.*)$/m)[1];
+    };
+    const first = await secret();
+    assert.match(first, /^[0-9a-f]{128}$/);
+    assert.notEqual(first, await secret());
+  });
+
+  test('hashes passwords in a pre-save hook that does not call next()', async () => {
+    const { files } = await planFor(['api']);
+    const model = files.find(file => file.path === 'models/User.js').content;
+    const hook = model.slice(model.indexOf("userSchema.pre('save'"), model.indexOf('// Compare password'));
+    assert.match(hook, /async function\(\)/);
+    assert.doesNotMatch(hook, /next/);
+  });
+
+  test('generates into the default folder when stdin is not a terminal', async () => {
+    const { dir, cleanup } = await tempDir();
+    try {
+      const result = spawnSync(process.execPath, [CLI, '--no-install', '--no-start'], {
+        cwd: dir,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        encoding: 'utf-8',
+        timeout: 60000
+      });
+      assert.equal(result.status, 0, result.stderr);
+      assert.doesNotMatch(result.stdout, /Enter folder name/);
+      assert.ok(await fs.pathExists(path.join(dir, 'server', 'package.json')));
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test('the Docker Compose environment passes the production config checks', async () => {
+    const { dir, cleanup } = await tempDir();
+    try {
+      const projectDir = await generateInto(dir, ['--docker']);
+      const compose = await fs.readFile(path.join(projectDir, 'docker-compose.yml'), 'utf-8');
+      assert.match(compose, /^    env_file: \.env$/m);
+
+      // Like the container: .env through env_file, overridden by `environment:`
+      const env = {
+        PATH: process.env.PATH,
+        ...dotenv.parse(await fs.readFile(path.join(projectDir, '.env'))),
+        ...composeEnvironment(compose)
+      };
+      assert.equal(env.NODE_ENV, 'production');
+      await fs.symlink(NODE_MODULES, path.join(projectDir, 'node_modules'), 'dir');
+      const result = spawnSync(process.execPath, ['config/env.js'], { cwd: projectDir, env, encoding: 'utf-8', timeout: 30000 });
+      assert.equal(result.status, 0, result.stderr);
+    } finally {
+      await cleanup();
+    }
+  });
+
+  describe('written to disk', () => {
+    let dir;
+    let cleanup;
+    let projectDir;
+
+    before(async () => {
+      ({ dir, cleanup } = await tempDir());
+      projectDir = await generateInto(dir);
+    });
+
+    after(() => cleanup());
+
+    test('every JavaScript file parses', async () => {
+      const files = await listJsFiles(projectDir);
+      assert.ok(files.length > 20, `expected the full project, got ${files.length} files`);
+      for (const file of files) {
+        assert.equal(checkSyntax(path.join(projectDir, file)), '', `${file} does not parse`);
+      }
+    });
+
+    test('package.json is valid and wires up npm test', async () => {
+      const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+      assert.equal(packageJson.type, 'module');
+      assert.equal(packageJson.scripts.test, 'node --test');
+      assert.ok(packageJson.dependencies.express);
+      assert.ok(packageJson.devDependencies['mongodb-memory-server']);
+    });
+
+    test('the project config is a valid config file', async () => {
+      const { options } = await loadConfigFile(projectDir);
+      assert.equal(options.typescript, false);
+      assert.equal(options.items, true);
+    });
+
+    test('dot files are renamed', async () => {
+      for (const file of ['.env', '.env.example', '.gitignore']) {
+        assert.ok(await fs.pathExists(path.join(projectDir, file)), `${file} is missing`);
+      }
+    });
+  });
+});
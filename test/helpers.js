@@ -0,0 +1,68 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { spawnSync } from 'child_process';
+import { resolveOptions } from '../lib/options.js';
+import { planProject } from '../lib/generate.js';
+import { writePlan } from '../lib/files.js';
+
+// Options for a non-interactive run, as parsed from the command line
+export async function optionsFor(argv, cwd) {
+  return resolveOptions([...argv, '--yes', '--no-install', '--no-start'], cwd);
+}
+
+// Plan a project for the given arguments. The random JWT secret is
+// replaced so the output is stable.
+export async function planFor(argv, cwd = os.tmpdir()) {
+  const plan = await planProject(await optionsFor(argv, cwd), cwd);
+  plan.files = plan.files.map(file => ({
+    ...file,
+    content: file.content.replace(/^JWT_SECRET=[0-9a-f]{128}$/m, 'JWT_SECRET=<random>')
+  }));
+  return plan;
+}
+
+// A fresh temporary directory, removed by the returned cleanup function
+export async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mern-setup-test-'));
+  return { dir, cleanup: () => fs.remove(dir) };
+}
+
+// Generate a project into `dir` (installs skipped) and return its path
+export async function generateInto(dir, argv = []) {
+  const plan = await planProject(await optionsFor(['api', ...argv], dir), dir);
+  await writePlan(plan.baseDir, plan.files);
+  return plan.baseDir;
+}
+
+// Every .js file below `dir`, relative to it
+export async function listJsFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules') files.push(...(await listJsFiles(dir, relative)));
+    } else if (entry.name.endsWith('.js')) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Run `fn` with console.log silenced, so commands that report what they
+// wrote keep the test output readable
+export async function quietly(fn) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Syntax-check a file with `node --check`; returns the error output or ''
+export function checkSyntax(file) {
+  const result = spawnSync(process.execPath, ['--check', file], { encoding: 'utf-8' });
+  return result.status === 0 ? '' : result.stderr;
+}
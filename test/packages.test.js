@@ -0,0 +1,44 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs-extra';
+import { detectPackageManager, projectPackageManager, pinDependencies, runCommand } from '../lib/packages.js';
+import { optionsFor, tempDir } from './helpers.js';
+
+describe('package managers', () => {
+  test('detects the package manager running the CLI', () => {
+    assert.equal(detectPackageManager('pnpm/9.1.0 npm/? node/v20.11.0 linux x64'), 'pnpm');
+    assert.equal(detectPackageManager('yarn/1.22.19 npm/? node/v20.11.0 darwin arm64'), 'yarn');
+    assert.equal(detectPackageManager('bun/1.1.8 npm/? node/v21.6.0 linux x64'), 'bun');
+    assert.equal(detectPackageManager('npm/10.5.0 node/v20.11.0 win32 x64'), 'npm');
+    assert.equal(detectPackageManager(''), 'npm');
+    assert.equal(runCommand('pnpm', 'dev'), 'pnpm run dev');
+  });
+
+  test('--pm overrides detection and rejects unknown names', async () => {
+    assert.equal((await optionsFor(['api', '--pm', 'yarn'])).pm, 'yarn');
+    await assert.rejects(optionsFor(['api', '--pm', 'cargo']), /must be one of npm, pnpm, yarn, bun/);
+  });
+
+  describe('in an existing project', () => {
+    let cleanup;
+    after(() => cleanup && cleanup());
+
+    test('reads the package manager from the lock file', async () => {
+      let dir;
+      ({ dir, cleanup } = await tempDir());
+      assert.equal(projectPackageManager(dir), 'npm');
+      await fs.writeFile(path.join(dir, 'pnpm-lock.yaml'), '');
+      assert.equal(projectPackageManager(dir), 'pnpm');
+    });
+  });
+
+  test('pins known packages and keeps versions given by templates', async () => {
+    const pinned = await pinDependencies(['pino@^9.0.0', 'express', '@acme/log@1.2.0', 'left-pad']);
+    assert.deepEqual(Object.keys(pinned), ['@acme/log', 'express', 'left-pad', 'pino']);
+    assert.match(pinned.express, /^\d+\.\d+\.\d+$/);
+    assert.equal(pinned.pino, '^9.0.0');
+    assert.equal(pinned['@acme/log'], '1.2.0');
+    assert.equal(pinned['left-pad'], 'latest');
+  });
+});
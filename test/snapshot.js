@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '__snapshots__');
+
+// Serialize generated { path, content } entries into one reviewable text
+// block, sorted by path
+export function serializeFiles(files) {
+  return [...files]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(file => `===== ${file.path} =====\n${file.content}${file.content.endsWith('\n') ? '' : '\n'}`)
+    .join('\n');
+}
+
+// Compare `content` with test/__snapshots__/<name>.snap. A missing snapshot
+// is written (except on CI); run with UPDATE_SNAPSHOTS=1 to accept changes.
+export async function matchSnapshot(name, content) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.snap`);
+
+  if (process.env.UPDATE_SNAPSHOTS || (!process.env.CI && !(await fs.pathExists(file)))) {
+    await fs.outputFile(file, content);
+    return;
+  }
+  if (!(await fs.pathExists(file))) {
+    assert.fail(`Missing snapshot ${path.relative(process.cwd(), file)}, run the tests with UPDATE_SNAPSHOTS=1`);
+  }
+
+  const expected = await fs.readFile(file, 'utf-8');
+  assert.equal(content, expected, `Snapshot ${name} changed, run the tests with UPDATE_SNAPSHOTS=1 if this is intended`);
+}
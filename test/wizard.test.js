@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { menuKey } from '../lib/prompt.js';
+import { AUTH_STRATEGIES } from '../lib/options.js';
+import { FEATURES, AUTH_CHOICES, formatSummary } from '../lib/wizard.js';
+import { optionsFor } from './helpers.js';
+
+const menu = (selected, cursor = 0) => ({ cursor, selected, done: false, cancelled: false });
+
+describe('wizard', () => {
+  test('arrow keys move the cursor and wrap around', () => {
+    assert.equal(menuKey(menu([false, false, false]), { name: 'down' }).cursor, 1);
+    assert.equal(menuKey(menu([false, false, false]), { name: 'up' }).cursor, 2);
+    assert.equal(menuKey(menu([false, false, false], 2), { name: 'j' }).cursor, 0);
+  });
+
+  test('space and "a" toggle choices of a multi-select', () => {
+    assert.deepEqual(menuKey(menu([true, false], 1), { name: 'space' }, true).selected, [true, true]);
+    assert.deepEqual(menuKey(menu([true, false]), { name: 'a' }, true).selected, [true, true]);
+    assert.deepEqual(menuKey(menu([true, true]), { name: 'a' }, true).selected, [false, false]);
+    assert.deepEqual(menuKey(menu([true, false]), { name: 'space' }).selected, [true, false]);
+  });
+
+  test('enter picks the choice under the cursor of a single select', () => {
+    const state = menuKey(menu([true, false, false], 2), { name: 'return' });
+    assert.equal(state.done, true);
+    assert.deepEqual(state.selected, [false, false, true]);
+  });
+
+  test('Ctrl+C cancels', () => {
+    assert.equal(menuKey(menu([false]), { name: 'c', ctrl: true }).cancelled, true);
+    assert.equal(menuKey(menu([false]), { name: 'c' }).cancelled, false);
+  });
+
+  test('every feature is a boolean option', async () => {
+    const options = await optionsFor(['api']);
+    for (const { value } of FEATURES) {
+      assert.equal(typeof options[value], 'boolean', `${value} is not an option`);
+    }
+  });
+
+  test('offers every authentication strategy', () => {
+    assert.deepEqual(AUTH_CHOICES.map(choice => choice.value), AUTH_STRATEGIES);
+  });
+
+  test('the summary lists the choices', async () => {
+    const summary = formatSummary(await optionsFor(['api', '--typescript', '--auth', 'jwt', '--pm', 'pnpm', '--no-tests', '--docker'])).join('\n');
+    assert.match(summary, /Folder +api\//);
+    assert.match(summary, /Language +TypeScript/);
+    assert.match(summary, /Authentication +JWT access tokens only/);
+    assert.match(summary, /Package manager +pnpm/);
+    assert.match(summary, /Features +Sample Item resource, Security middleware, Docker, Request logging, API docs/);
+    assert.match(summary, /Left out +Tests/);
+    assert.match(summary, /api\/mern-setup\.config\.json/);
+  });
+});